@@ -0,0 +1,252 @@
+const { Pool } = require('pg');
+const { getDailyTotals, getTarget, setTarget, getWeightGoal } = require('./calorie-tracker');
+const { getExerciseCaloriesByDate } = require('./workout-tracker');
+const { getWeighIns } = require('./weight-tracker');
+const { getTodayKey, shiftDateKey } = require('./log-date');
+
+// Intake vs weight trend is compared over the last 3 weeks; less data than
+// this is too noisy (water weight swings 2-3 lbs day to day)
+const WINDOW_DAYS = 21;
+const MIN_WEIGH_INS = 5;
+const MIN_WEIGH_IN_SPAN_DAYS = 14;
+const MIN_LOGGED_DAYS = 10;
+
+const CALORIES_PER_LB = 3500;
+const MIN_TARGET = 1200;
+const MAX_LOSS_PER_WEEK = 2;
+const MAX_GAIN_PER_WEEK = 1;
+
+// A proposed target waits this long for "confirm target"
+const PROPOSAL_EXPIRY_HOURS = 24;
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the pending target proposals table if it doesn't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pending_target_changes (
+      phone VARCHAR(20) PRIMARY KEY,
+      target INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  console.log(`[TIMING] target-db-initTable: ${Date.now() - start}ms`);
+}
+
+function dayNumber(key) {
+  return Math.round(new Date(`${key}T12:00:00Z`).getTime() / 86400000);
+}
+
+/**
+ * Least-squares slope of weight over time, in lbs/day
+ * A straight fit through every weigh-in, unlike the smoothed trend, doesn't lag
+ * behind over a 3 week window.
+ */
+function weightSlope(weighIns) {
+  const xs = weighIns.map(w => dayNumber(w.date));
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = weighIns.reduce((sum, w) => sum + w.weight, 0) / weighIns.length;
+  let numerator = 0;
+  let denominator = 0;
+  weighIns.forEach((w, i) => {
+    numerator += (xs[i] - meanX) * (w.weight - meanY);
+    denominator += (xs[i] - meanX) ** 2;
+  });
+  return denominator ? numerator / denominator : 0;
+}
+
+/**
+ * Estimate TDEE (total daily energy expenditure) from the last 3 weeks
+ * Every pound gained or lost beyond what was eaten is ~3500 cal, so
+ * TDEE = average intake - weight change per day x 3500. Exercise calories are
+ * subtracted back out to get maintenance, since "total" already adds each
+ * day's exercise on top of the target.
+ * @returns {Promise<Object>} { ready: false, reason } or
+ *   { ready: true, tdee, maintenance, avgIntake, avgExercise, weeklyChange, loggedDays, weighIns, days }
+ */
+async function estimateTdee() {
+  const today = getTodayKey();
+  const startDate = shiftDateKey(today, -WINDOW_DAYS);
+  const endDate = shiftDateKey(today, -1);
+
+  const [dailyTotals, exerciseByDate, weighIns] = await Promise.all([
+    getDailyTotals(startDate, endDate),
+    getExerciseCaloriesByDate(startDate, endDate),
+    getWeighIns(startDate)
+  ]);
+
+  const span = weighIns.length > 1
+    ? dayNumber(weighIns[weighIns.length - 1].date) - dayNumber(weighIns[0].date)
+    : 0;
+  if (weighIns.length < MIN_WEIGH_INS || span < MIN_WEIGH_IN_SPAN_DAYS) {
+    return {
+      ready: false,
+      reason: `Need at least ${MIN_WEIGH_INS} weigh-ins spread over ${MIN_WEIGH_IN_SPAN_DAYS}+ days (have ${weighIns.length} over ${span} days in the last ${WINDOW_DAYS}).`
+    };
+  }
+  // Only days with food logged count; unlogged days are assumed to look like logged ones
+  const loggedDays = dailyTotals.filter(day => day.calories > 0);
+  if (loggedDays.length < MIN_LOGGED_DAYS) {
+    return {
+      ready: false,
+      reason: `Need food logged on at least ${MIN_LOGGED_DAYS} of the last ${WINDOW_DAYS} days (have ${loggedDays.length}).`
+    };
+  }
+
+  const slope = weightSlope(weighIns);
+  const avgIntake = loggedDays.reduce((sum, day) => sum + day.calories, 0) / loggedDays.length;
+  const avgExercise = [...exerciseByDate.values()].reduce((sum, cals) => sum + cals, 0) / WINDOW_DAYS;
+  const tdee = avgIntake - slope * CALORIES_PER_LB;
+
+  return {
+    ready: true,
+    days: WINDOW_DAYS,
+    loggedDays: loggedDays.length,
+    weighIns: weighIns.length,
+    avgIntake: Math.round(avgIntake),
+    avgExercise: Math.round(avgExercise),
+    weeklyChange: Math.round(slope * 7 * 10) / 10,
+    tdee: Math.round(tdee),
+    maintenance: Math.round(tdee - avgExercise)
+  };
+}
+
+/**
+ * Work out the calorie target for the weight goal, without saving anything
+ * @returns {Promise<Object>} { estimate, goal, currentTarget, target, floored }; target is
+ *   null when there isn't enough data or no goal is set
+ */
+async function calculateTarget() {
+  const [estimate, goal, currentTarget] = await Promise.all([estimateTdee(), getWeightGoal(), getTarget()]);
+  if (!estimate.ready || goal == null) {
+    return { estimate, goal, currentTarget, target: null };
+  }
+
+  const raw = estimate.maintenance + goal * CALORIES_PER_LB / 7;
+  const target = Math.max(MIN_TARGET, Math.round(raw / 10) * 10);
+  return { estimate, goal, currentTarget, target, floored: raw < MIN_TARGET };
+}
+
+/**
+ * Hold a proposed target until "confirm target"
+ * @param {string} phone - User's phone number (who must confirm)
+ * @param {number} target - Proposed daily calorie target
+ */
+async function savePendingTarget(phone, target) {
+  await initTable();
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO pending_target_changes (phone, target)
+    VALUES ($1, $2)
+    ON CONFLICT (phone)
+    DO UPDATE SET target = $2, created_at = NOW()
+  `, [phone, target]);
+  console.log(`[TIMING] target-db-savePending: ${Date.now() - queryStart}ms`);
+}
+
+/**
+ * Propose a calorie target for the weight goal and hold it until confirmed
+ * @param {string} phone - User's phone number (who must confirm)
+ * @returns {Promise<Object>} See calculateTarget()
+ */
+async function proposeTarget(phone) {
+  const proposal = await calculateTarget();
+  if (proposal.target != null) {
+    await savePendingTarget(phone, proposal.target);
+  }
+  return proposal;
+}
+
+/**
+ * Apply the pending proposed target, if it hasn't expired
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object|null>} { previous, target } or null if nothing is pending
+ */
+async function confirmTarget(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    DELETE FROM pending_target_changes
+    WHERE phone = $1
+    AND created_at > NOW() - INTERVAL '${PROPOSAL_EXPIRY_HOURS} hours'
+    RETURNING target
+  `, [phone]);
+  console.log(`[TIMING] target-db-confirm: ${Date.now() - queryStart}ms`);
+
+  if (!rows[0]) return null;
+
+  const previous = await getTarget();
+  const target = await setTarget(rows[0].target);
+  return { previous, target };
+}
+
+/**
+ * Check a weight goal rate before saving it
+ * @param {number} lbsPerWeek - Negative to lose, positive to gain
+ * @returns {string|null} Why the goal can't be used, or null if it's fine
+ */
+function checkGoal(lbsPerWeek) {
+  if (!Number.isFinite(lbsPerWeek)) return 'Goal must be a number of lbs per week.';
+  if (lbsPerWeek < -MAX_LOSS_PER_WEEK) return `Losing more than ${MAX_LOSS_PER_WEEK} lb/week isn't supported; try "goal lose ${MAX_LOSS_PER_WEEK} lb/week".`;
+  if (lbsPerWeek > MAX_GAIN_PER_WEEK) return `Gaining more than ${MAX_GAIN_PER_WEEK} lb/week isn't supported; try "goal gain ${MAX_GAIN_PER_WEEK} lb/week".`;
+  return null;
+}
+
+/**
+ * "lose 1 lb/week", "maintain", "gain 0.5 lb/week"
+ */
+function describeGoal(lbsPerWeek) {
+  if (lbsPerWeek === 0) return 'maintain weight';
+  return `${lbsPerWeek < 0 ? 'lose' : 'gain'} ${Math.abs(lbsPerWeek)} lb/week`;
+}
+
+/**
+ * Format a target proposal for SMS
+ */
+function formatTargetProposal(proposal) {
+  const { estimate, goal, currentTarget, target } = proposal;
+  if (!estimate.ready) {
+    return `Not enough data for an adaptive target yet. ${estimate.reason}`;
+  }
+
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+  let message = `Estimated TDEE: ${estimate.tdee} cal/day\n` +
+    `Last ${estimate.days} days: avg intake ${estimate.avgIntake} cal (${estimate.loggedDays} days logged), ` +
+    `weight ${signed(estimate.weeklyChange)} lb/week`;
+  if (estimate.avgExercise > 0) {
+    message += `, exercise ~${estimate.avgExercise} cal/day`;
+  }
+
+  if (goal == null) {
+    return `${message}\n\nSet a goal to get a suggested target, e.g. "goal lose 1 lb/week" or "goal maintain".`;
+  }
+
+  message += `\n\nTo ${describeGoal(goal)}: ${target} cal/day (now ${currentTarget})`;
+  if (proposal.floored) {
+    message += `\nCapped at the ${MIN_TARGET} cal minimum; consider a slower goal.`;
+  }
+  if (target === currentTarget) {
+    return `${message}\n\nYour current target already fits.`;
+  }
+  return `${message}\n\nReply "confirm target" to apply.`;
+}
+
+module.exports = {
+  estimateTdee,
+  calculateTarget,
+  savePendingTarget,
+  proposeTarget,
+  confirmTarget,
+  checkGoal,
+  describeGoal,
+  formatTargetProposal
+};
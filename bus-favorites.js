@@ -0,0 +1,193 @@
+const { Pool } = require('pg');
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the bus favorites table if it doesn't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bus_favorites (
+      phone VARCHAR(20) NOT NULL,
+      nickname TEXT NOT NULL,
+      stop_code VARCHAR(10) NOT NULL,
+      route TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (phone, nickname)
+    )
+  `);
+  await pool.query('ALTER TABLE bus_favorites ADD COLUMN IF NOT EXISTS walk_minutes INTEGER');
+  console.log(`[TIMING] favorites-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Normalize a nickname so "Home" and "home " refer to the same favorite
+ */
+function normalizeNickname(nickname) {
+  return nickname.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function rowToFavorite(row) {
+  return {
+    nickname: row.nickname,
+    stopCode: row.stop_code,
+    route: row.route,
+    walkMinutes: row.walk_minutes
+  };
+}
+
+/**
+ * Save (or overwrite) a favorite stop under a nickname
+ * @param {string} phone - User's phone number
+ * @param {string} nickname - e.g., "home", "work"
+ * @param {string} stopCode - 6-digit MTA stop code
+ * @param {string|null} route - Optional route filter (e.g., 'B63')
+ * @returns {Promise<Object>} The saved favorite
+ */
+async function saveFavorite(phone, nickname, stopCode, route = null) {
+  await initTable();
+  const name = normalizeNickname(nickname);
+  const routeFilter = route ? route.toUpperCase() : null;
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO bus_favorites (phone, nickname, stop_code, route)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (phone, nickname)
+    DO UPDATE SET stop_code = $3, route = $4, created_at = NOW(),
+      walk_minutes = CASE WHEN bus_favorites.stop_code = $3 THEN bus_favorites.walk_minutes END
+  `, [phone, name, stopCode, routeFilter]);
+  console.log(`[TIMING] favorites-db-save: ${Date.now() - queryStart}ms`);
+
+  return { nickname: name, stopCode, route: routeFilter };
+}
+
+/**
+ * Get a favorite by nickname
+ * @param {string} phone - User's phone number
+ * @param {string} nickname - Favorite nickname
+ * @returns {Promise<Object|null>} Favorite or null if not found
+ */
+async function getFavorite(phone, nickname) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    'SELECT nickname, stop_code, route, walk_minutes FROM bus_favorites WHERE phone = $1 AND nickname = $2',
+    [phone, normalizeNickname(nickname)]
+  );
+  console.log(`[TIMING] favorites-db-get: ${Date.now() - queryStart}ms`);
+
+  return rows[0] ? rowToFavorite(rows[0]) : null;
+}
+
+/**
+ * List all favorites for a phone number
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Array>} Favorites ordered by nickname
+ */
+async function listFavorites(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    'SELECT nickname, stop_code, route, walk_minutes FROM bus_favorites WHERE phone = $1 ORDER BY nickname',
+    [phone]
+  );
+  console.log(`[TIMING] favorites-db-list: ${Date.now() - queryStart}ms`);
+
+  return rows.map(rowToFavorite);
+}
+
+/**
+ * Find a favorite by stop code, e.g. to reuse its walking time for "leave for 308209"
+ * @param {string} phone - User's phone number
+ * @param {string} stopCode - 6-digit MTA stop code
+ * @returns {Promise<Object|null>} First matching favorite with a walking time, or any match
+ */
+async function findFavoriteByStop(phone, stopCode) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT nickname, stop_code, route, walk_minutes FROM bus_favorites
+    WHERE phone = $1 AND stop_code = $2
+    ORDER BY walk_minutes IS NULL, nickname
+    LIMIT 1
+  `, [phone, stopCode]);
+  console.log(`[TIMING] favorites-db-findByStop: ${Date.now() - queryStart}ms`);
+
+  return rows[0] ? rowToFavorite(rows[0]) : null;
+}
+
+/**
+ * Save how many minutes it takes to walk to a favorite stop
+ * @param {string} phone - User's phone number
+ * @param {string} nickname - Favorite nickname
+ * @param {number} minutes - Walking time in minutes
+ * @returns {Promise<Object|null>} Updated favorite or null if not found
+ */
+async function setWalkMinutes(phone, nickname, minutes) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    UPDATE bus_favorites SET walk_minutes = $3
+    WHERE phone = $1 AND nickname = $2
+    RETURNING nickname, stop_code, route, walk_minutes
+  `, [phone, normalizeNickname(nickname), minutes]);
+  console.log(`[TIMING] favorites-db-setWalk: ${Date.now() - queryStart}ms`);
+
+  return rows[0] ? rowToFavorite(rows[0]) : null;
+}
+
+/**
+ * Delete a favorite by nickname
+ * @param {string} phone - User's phone number
+ * @param {string} nickname - Favorite nickname
+ * @returns {Promise<boolean>} Whether a favorite was deleted
+ */
+async function deleteFavorite(phone, nickname) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rowCount } = await pool.query(
+    'DELETE FROM bus_favorites WHERE phone = $1 AND nickname = $2',
+    [phone, normalizeNickname(nickname)]
+  );
+  console.log(`[TIMING] favorites-db-delete: ${Date.now() - queryStart}ms`);
+
+  return rowCount > 0;
+}
+
+/**
+ * Format a favorites list for SMS
+ * @param {Array} favorites - From listFavorites()
+ * @returns {string}
+ */
+function formatFavorites(favorites) {
+  if (favorites.length === 0) {
+    return 'No saved stops. Text "save home 308209 B63" to add one.';
+  }
+  const lines = favorites.map(f => {
+    let line = `${f.nickname}: ${f.stopCode}${f.route ? ` ${f.route}` : ''}`;
+    if (f.walkMinutes != null) line += ` (${f.walkMinutes} min walk)`;
+    return line;
+  });
+  return `Saved stops:\n${lines.join('\n')}\n\nText "bus <name>" for arrivals, "walk <name> 6" to save a walking time.`;
+}
+
+module.exports = {
+  saveFavorite,
+  getFavorite,
+  listFavorites,
+  findFavoriteByStop,
+  setWalkMinutes,
+  deleteFavorite,
+  formatFavorites
+};
@@ -0,0 +1,308 @@
+const { Pool } = require('pg');
+
+const TIMEZONE = 'America/New_York';
+
+// A bus seen 0 stops away is treated as having arrived once we've stopped
+// seeing it there for a while; sightings further apart are separate trips.
+const ARRIVAL_SETTLE_MINUTES = 5;
+const TRIP_GAP_MINUTES = 20;
+
+// Predictions made up to an hour before an arrival are scored against it
+const PREDICTION_WINDOW_MINUTES = 60;
+
+const RETENTION_DAYS = 30;
+const RECONCILE_INTERVAL_MS = 60 * 1000;
+const MIN_HOUR_SAMPLES = 5;
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+let tablesReady = null;
+
+/**
+ * Initialize the predictions and arrivals tables if they don't exist
+ * Runs once per process; later calls wait on the same setup.
+ */
+function initTable() {
+  if (!tablesReady) {
+    tablesReady = createTables().catch(error => {
+      tablesReady = null;
+      throw error;
+    });
+  }
+  return tablesReady;
+}
+
+async function createTables() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bus_predictions (
+      id SERIAL PRIMARY KEY,
+      stop_code VARCHAR(10) NOT NULL,
+      route TEXT NOT NULL,
+      vehicle_ref TEXT NOT NULL,
+      predicted_arrival TIMESTAMPTZ NOT NULL,
+      stops_away INTEGER,
+      observed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      actual_arrival TIMESTAMPTZ,
+      reconciled BOOLEAN NOT NULL DEFAULT FALSE
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS bus_predictions_stop_vehicle ON bus_predictions (stop_code, vehicle_ref, observed_at)');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bus_arrivals (
+      id SERIAL PRIMARY KEY,
+      stop_code VARCHAR(10) NOT NULL,
+      route TEXT NOT NULL,
+      vehicle_ref TEXT NOT NULL,
+      arrived_at TIMESTAMPTZ NOT NULL
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS bus_arrivals_route_stop ON bus_arrivals (route, stop_code, arrived_at)');
+  console.log(`[TIMING] reliability-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Store the live predictions from one BusTime response
+ * Scheduled, stale, and vehicle-less arrivals are skipped. Runs on every
+ * arrival lookup; after the first call initTable() is already settled.
+ * @param {string} stopCode - Stop the arrivals are for
+ * @param {Object} parsedData - From MTABusAPI.parseResponse()
+ */
+async function recordPredictions(stopCode, parsedData) {
+  const rows = (parsedData.arrivals || []).filter(a =>
+    a.hasRealtimeData && a.vehicleRef && a.expectedArrival && !a.scheduled
+  );
+  if (rows.length === 0) return;
+  await initTable();
+
+  const values = [];
+  const placeholders = rows.map((a, i) => {
+    values.push(stopCode, a.route.toUpperCase(), a.vehicleRef, a.expectedArrival, a.stopsAway ?? null);
+    const n = i * 5;
+    return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5})`;
+  });
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO bus_predictions (stop_code, route, vehicle_ref, predicted_arrival, stops_away)
+    VALUES ${placeholders.join(', ')}
+  `, values);
+  console.log(`[TIMING] reliability-db-record: ${Date.now() - queryStart}ms (${rows.length} predictions)`);
+}
+
+/**
+ * Infer actual arrivals from buses seen 0 stops away, then attach the
+ * arrival time to every earlier prediction for that vehicle and stop
+ * @returns {Promise<number>} Number of arrivals inferred
+ */
+async function reconcileArrivals() {
+  const { rows } = await pool.query(`
+    SELECT stop_code, route, vehicle_ref, predicted_arrival, observed_at,
+      observed_at < NOW() - INTERVAL '${ARRIVAL_SETTLE_MINUTES} minutes' AS settled
+    FROM bus_predictions
+    WHERE stops_away = 0 AND NOT reconciled
+    ORDER BY stop_code, vehicle_ref, observed_at
+  `);
+
+  // Group sightings into trips: same stop and vehicle, no long gap between
+  const trips = [];
+  for (const row of rows) {
+    const last = trips[trips.length - 1];
+    if (last && last.stop_code === row.stop_code && last.vehicle_ref === row.vehicle_ref &&
+        new Date(row.observed_at) - new Date(last.observed_at) < TRIP_GAP_MINUTES * 60000) {
+      Object.assign(last, row);
+    } else {
+      trips.push({ ...row });
+    }
+  }
+
+  // A trip still being sighted at the stop isn't over; reconciling its early
+  // sightings now would count the rest as a second arrival next pass
+  const settled = trips.filter(trip => trip.settled);
+
+  for (const trip of settled) {
+    // The last prediction made while the bus was at the stop is the best arrival estimate
+    const arrivedAt = trip.predicted_arrival;
+
+    // Together, so a failure can't leave an arrival whose predictions get reconciled again
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'INSERT INTO bus_arrivals (stop_code, route, vehicle_ref, arrived_at) VALUES ($1, $2, $3, $4)',
+        [trip.stop_code, trip.route, trip.vehicle_ref, arrivedAt]
+      );
+      await client.query(`
+        UPDATE bus_predictions
+        SET actual_arrival = $3, reconciled = TRUE
+        WHERE stop_code = $1 AND vehicle_ref = $2 AND NOT reconciled
+          AND observed_at BETWEEN $3::TIMESTAMPTZ - INTERVAL '${PREDICTION_WINDOW_MINUTES} minutes'
+                              AND $4::TIMESTAMPTZ
+      `, [trip.stop_code, trip.vehicle_ref, arrivedAt, trip.observed_at]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Predictions for buses we never saw arrive can't be scored
+  await pool.query(`
+    UPDATE bus_predictions SET reconciled = TRUE
+    WHERE NOT reconciled AND observed_at < NOW() - INTERVAL '${PREDICTION_WINDOW_MINUTES * 2} minutes'
+  `);
+  await pool.query(`DELETE FROM bus_predictions WHERE observed_at < NOW() - INTERVAL '${RETENTION_DAYS} days'`);
+  await pool.query(`DELETE FROM bus_arrivals WHERE arrived_at < NOW() - INTERVAL '${RETENTION_DAYS} days'`);
+
+  return settled.length;
+}
+
+/**
+ * Create the tables and start the background reconciler loop
+ * Predictions are only recorded with DATABASE_URL, so without it nothing starts.
+ * The loop is scheduled before the tables are created, so if that fails
+ * here, every pass tries again.
+ * @returns {Promise<void>}
+ */
+async function startReliabilityReconciler() {
+  if (!process.env.DATABASE_URL) {
+    console.log('Reliability reconciler not started (DATABASE_URL not set)');
+    return;
+  }
+
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await initTable();
+      const inferred = await reconcileArrivals();
+      if (inferred > 0) console.log(`[RELIABILITY] Inferred ${inferred} arrivals`);
+    } catch (error) {
+      console.error('[RELIABILITY] Reconcile failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, RECONCILE_INTERVAL_MS);
+
+  console.log(`Reliability reconciler started (every ${RECONCILE_INTERVAL_MS / 1000}s)`);
+  await initTable();
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Prediction error and headway gaps for a route at a stop, by hour of day
+ * @param {string} route - Bus route (e.g., 'B63')
+ * @param {string} stopCode - 6-digit MTA stop code
+ * @returns {Promise<Object>} { route, stopCode, predictions, arrivals, overall, hours }
+ */
+async function getReliability(route, stopCode) {
+  await initTable();
+  const routeName = route.toUpperCase();
+
+  const queryStart = Date.now();
+  const [predictions, arrivals] = await Promise.all([
+    pool.query(`
+      SELECT predicted_arrival, actual_arrival
+      FROM bus_predictions
+      WHERE route = $1 AND stop_code = $2 AND actual_arrival IS NOT NULL
+        AND stops_away > 0
+    `, [routeName, stopCode]),
+    pool.query(`
+      SELECT arrived_at
+      FROM bus_arrivals
+      WHERE route = $1 AND stop_code = $2
+      ORDER BY arrived_at
+    `, [routeName, stopCode])
+  ]);
+  console.log(`[TIMING] reliability-db-report: ${Date.now() - queryStart}ms`);
+
+  const hours = new Map();
+  const hourStats = time => {
+    const hour = Number(new Date(time).toLocaleString('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: TIMEZONE }));
+    if (!hours.has(hour)) hours.set(hour, { hour, errors: [], gaps: [] });
+    return hours.get(hour);
+  };
+
+  // Sightings at the stop define the arrival, so only earlier predictions are scored.
+  // Positive error = the bus came later than predicted.
+  const errors = predictions.rows.map(r => (new Date(r.actual_arrival) - new Date(r.predicted_arrival)) / 60000);
+  predictions.rows.forEach((r, i) => hourStats(r.actual_arrival).errors.push(errors[i]));
+
+  // Headway: minutes since the previous bus; two-hour gaps are overnight breaks, not headways
+  for (let i = 1; i < arrivals.rows.length; i++) {
+    const gap = (new Date(arrivals.rows[i].arrived_at) - new Date(arrivals.rows[i - 1].arrived_at)) / 60000;
+    if (gap > 0 && gap < 120) hourStats(arrivals.rows[i].arrived_at).gaps.push(gap);
+  }
+
+  const summarize = stats => ({
+    hour: stats.hour,
+    samples: stats.errors.length,
+    typicalErrorMinutes: median(stats.errors.map(Math.abs)),
+    medianGapMinutes: median(stats.gaps),
+    worstGapMinutes: stats.gaps.length > 0 ? Math.max(...stats.gaps) : null
+  });
+
+  return {
+    route: routeName,
+    stopCode,
+    predictions: errors.length,
+    arrivals: arrivals.rows.length,
+    overall: {
+      typicalErrorMinutes: median(errors.map(Math.abs)),
+      withinTwoMinutes: errors.length > 0 ? errors.filter(e => Math.abs(e) <= 2).length / errors.length : null,
+      meanLateMinutes: errors.length > 0 ? errors.reduce((sum, e) => sum + e, 0) / errors.length : null
+    },
+    hours: [...hours.values()]
+      .filter(h => h.errors.length >= MIN_HOUR_SAMPLES)
+      .sort((a, b) => a.hour - b.hour)
+      .map(summarize)
+  };
+}
+
+/**
+ * Format a reliability report for SMS
+ */
+function formatReliability(report) {
+  if (report.predictions === 0) {
+    return `No reliability data yet for the ${report.route} at ${report.stopCode}. It builds up as people check that stop; try again in a few days.`;
+  }
+
+  const min = value => (value == null ? '-' : `${Math.round(value * 10) / 10} min`);
+  const hourLabel = hour => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+  const lateness = report.overall.meanLateMinutes;
+
+  let message = `${report.route} at ${report.stopCode} (last ${RETENTION_DAYS} days, ${report.predictions} predictions, ${report.arrivals} buses):\n\n`;
+  message += `Predictions are typically off by ${min(report.overall.typicalErrorMinutes)}; `;
+  message += `${Math.round(report.overall.withinTwoMinutes * 100)}% within 2 min. `;
+  message += `Buses average ${min(Math.abs(lateness))} ${lateness >= 0 ? 'later' : 'earlier'} than predicted.`;
+
+  if (report.hours.length > 0) {
+    message += '\n\nBy hour (typical error / median gap / worst gap):\n';
+    message += report.hours
+      .map(h => `${hourLabel(h.hour)}: ${min(h.typicalErrorMinutes)} / ${min(h.medianGapMinutes)} / ${min(h.worstGapMinutes)}`)
+      .join('\n');
+  }
+
+  return message;
+}
+
+module.exports = {
+  recordPredictions,
+  reconcileArrivals,
+  startReliabilityReconciler,
+  getReliability,
+  formatReliability
+};
@@ -0,0 +1,276 @@
+const { Pool } = require('pg');
+const cron = require('node-cron');
+const { MTABusAPI } = require('./mta-api');
+
+const TIMEZONE = 'America/New_York';
+
+const DAY_NUMBERS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const DAY_GROUPS = { day: '*', daily: '*', weekday: '1-5', weekend: '0,6' };
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Running cron tasks by schedule id
+const tasks = new Map();
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the bus schedules table if it doesn't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bus_schedules (
+      id SERIAL PRIMARY KEY,
+      phone VARCHAR(20) NOT NULL,
+      twilio_number VARCHAR(20) NOT NULL,
+      days TEXT NOT NULL,
+      time TEXT NOT NULL,
+      stop_code VARCHAR(10) NOT NULL,
+      route TEXT,
+      paused BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  console.log(`[TIMING] schedules-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Convert a days description into a cron day-of-week field
+ * Accepts "day", "weekday", "weekend", or day names like "mon,wed,fri" / "monday tuesday"
+ * @param {string} days - Days description
+ * @returns {string|null} Cron day-of-week field, or null if unrecognized
+ */
+function parseDays(days) {
+  const normalized = days.toLowerCase().trim().replace(/s$/, '');
+  if (DAY_GROUPS[normalized]) return DAY_GROUPS[normalized];
+
+  const numbers = normalized
+    .split(/[\s,&]+|\band\b/)
+    .filter(Boolean)
+    .map(d => DAY_NUMBERS[d.substring(0, 3)]);
+  if (numbers.length === 0 || numbers.some(n => n === undefined)) return null;
+
+  return [...new Set(numbers)].sort().join(',');
+}
+
+/**
+ * Parse a clock time like "8:10", "8:10am", "17:45" into 24-hour HH:MM
+ * @returns {string|null}
+ */
+function parseTime(time) {
+  const match = time.toLowerCase().trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] || '0', 10);
+  if (match[3] === 'pm' && hour < 12) hour += 12;
+  if (match[3] === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a schedule for SMS
+ */
+function describeSchedule(schedule) {
+  let daysText;
+  if (schedule.days === '*') daysText = 'Every day';
+  else if (schedule.days === '1-5') daysText = 'Weekdays';
+  else if (schedule.days === '0,6') daysText = 'Weekends';
+  else daysText = schedule.days.split(',').map(n => DAY_LABELS[n]).join('/');
+
+  let text = `#${schedule.id} ${daysText} ${schedule.time}: ${schedule.stopCode}`;
+  if (schedule.route) text += ` ${schedule.route}`;
+  if (schedule.paused) text += ' (paused)';
+  return text;
+}
+
+function rowToSchedule(row) {
+  return {
+    id: row.id,
+    phone: row.phone,
+    twilioNumber: row.twilio_number,
+    days: row.days,
+    time: row.time,
+    stopCode: row.stop_code,
+    route: row.route,
+    paused: row.paused
+  };
+}
+
+/**
+ * Register a cron job that pushes arrivals for a schedule
+ */
+function startTask(schedule, sendSMS) {
+  stopTask(schedule.id);
+
+  const [hour, minute] = schedule.time.split(':').map(n => parseInt(n, 10));
+  const expression = `${minute} ${hour} * * ${schedule.days}`;
+
+  const task = cron.schedule(expression, async () => {
+    console.log(`[CRON] Sending scheduled arrivals #${schedule.id}...`);
+    try {
+      const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+      const arrivalData = await mtaAPI.getStopArrivals(schedule.stopCode, schedule.route);
+      await sendSMS(schedule.phone, schedule.twilioNumber, mtaAPI.formatAsText(arrivalData));
+    } catch (error) {
+      console.error(`[CRON] Scheduled arrivals #${schedule.id} failed:`, error.message);
+    }
+  }, { timezone: TIMEZONE });
+
+  tasks.set(schedule.id, task);
+}
+
+function stopTask(id) {
+  const task = tasks.get(id);
+  if (task) {
+    task.stop();
+    tasks.delete(id);
+  }
+}
+
+/**
+ * Create a recurring arrivals push and start its cron job
+ * @param {string} phone - User's phone number
+ * @param {string} twilioNumber - Twilio number to send from
+ * @param {string} days - Days description (e.g., "weekday", "mon,wed")
+ * @param {string} time - Clock time (e.g., "8:10", "5:45pm")
+ * @param {string} stopCode - 6-digit MTA stop code
+ * @param {string|null} route - Optional route filter
+ * @param {Function} sendSMS - async function(to, from, body)
+ * @returns {Promise<Object>} { success, schedule } or { success: false, error }
+ */
+async function createSchedule(phone, twilioNumber, days, time, stopCode, route, sendSMS) {
+  const cronDays = parseDays(days);
+  if (!cronDays) {
+    return { success: false, error: `Couldn't understand days "${days}". Try "weekday", "day", "weekend", or "mon,wed,fri".` };
+  }
+  const clock = parseTime(time);
+  if (!clock) {
+    return { success: false, error: `Couldn't understand time "${time}". Try "8:10" or "5:45pm".` };
+  }
+
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    INSERT INTO bus_schedules (phone, twilio_number, days, time, stop_code, route)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [phone, twilioNumber, cronDays, clock, stopCode, route ? route.toUpperCase() : null]);
+  console.log(`[TIMING] schedules-db-create: ${Date.now() - queryStart}ms`);
+
+  const schedule = rowToSchedule(rows[0]);
+  startTask(schedule, sendSMS);
+  return { success: true, schedule };
+}
+
+/**
+ * List schedules for a phone number
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Array>}
+ */
+async function listSchedules(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    'SELECT * FROM bus_schedules WHERE phone = $1 ORDER BY time, id',
+    [phone]
+  );
+  console.log(`[TIMING] schedules-db-list: ${Date.now() - queryStart}ms`);
+
+  return rows.map(rowToSchedule);
+}
+
+/**
+ * Pause or resume a schedule
+ * @param {string} phone - User's phone number (schedules can only be changed by their owner)
+ * @param {number} id - Schedule id
+ * @param {boolean} paused - true to pause, false to resume
+ * @param {Function} sendSMS - async function(to, from, body), used when resuming
+ * @returns {Promise<Object|null>} Updated schedule or null if not found
+ */
+async function setSchedulePaused(phone, id, paused, sendSMS) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    'UPDATE bus_schedules SET paused = $3 WHERE phone = $1 AND id = $2 RETURNING *',
+    [phone, id, paused]
+  );
+  console.log(`[TIMING] schedules-db-setPaused: ${Date.now() - queryStart}ms`);
+
+  if (!rows[0]) return null;
+
+  const schedule = rowToSchedule(rows[0]);
+  if (paused) stopTask(schedule.id);
+  else startTask(schedule, sendSMS);
+  return schedule;
+}
+
+/**
+ * Delete a schedule and stop its cron job
+ * @param {string} phone - User's phone number
+ * @param {number} id - Schedule id
+ * @returns {Promise<boolean>} Whether a schedule was deleted
+ */
+async function deleteSchedule(phone, id) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rowCount } = await pool.query(
+    'DELETE FROM bus_schedules WHERE phone = $1 AND id = $2',
+    [phone, id]
+  );
+  console.log(`[TIMING] schedules-db-delete: ${Date.now() - queryStart}ms`);
+
+  if (rowCount > 0) stopTask(id);
+  return rowCount > 0;
+}
+
+/**
+ * Load all active schedules from the DB and start their cron jobs
+ * Called once at server startup. Schedules live in Postgres, so without
+ * DATABASE_URL there's nothing to load.
+ * @param {Function} sendSMS - async function(to, from, body)
+ * @returns {Promise<void>}
+ */
+async function startBusSchedules(sendSMS) {
+  if (!process.env.DATABASE_URL) {
+    console.log('Bus schedules not loaded (DATABASE_URL not set)');
+    return;
+  }
+  await initTable();
+
+  const { rows } = await pool.query('SELECT * FROM bus_schedules WHERE paused = FALSE');
+  for (const row of rows) {
+    startTask(rowToSchedule(row), sendSMS);
+  }
+  console.log(`Bus schedules loaded (${rows.length} active)`);
+}
+
+/**
+ * Format a schedules list for SMS
+ */
+function formatSchedules(schedules) {
+  if (schedules.length === 0) {
+    return 'No bus schedules. Text "every weekday 8:10 send 308209 B63" to add one.';
+  }
+  return `Bus schedules:\n${schedules.map(describeSchedule).join('\n')}\n\n"pause schedule 1" / "resume schedule 1" / "delete schedule 1"`;
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+  startBusSchedules,
+  describeSchedule,
+  formatSchedules
+};
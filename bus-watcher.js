@@ -0,0 +1,231 @@
+const { Pool } = require('pg');
+const { MTABusAPI } = require('./mta-api');
+
+const WATCH_EXPIRY_MINUTES = 60;
+const DEFAULT_ALERT_MINUTES = 5;
+const DEFAULT_ALERT_STOPS = 2;
+
+// Polling backoff: check more often as the bus gets close to the threshold
+const TICK_MS = 15 * 1000;
+const MIN_POLL_MS = 30 * 1000;
+const MAX_POLL_MS = 5 * 60 * 1000;
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+let tableReady = null;
+
+/**
+ * Initialize the bus watches table if it doesn't exist
+ * Runs once per process; later calls wait on the same setup.
+ */
+function initTable() {
+  if (!tableReady) {
+    tableReady = createTable().catch(error => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+async function createTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bus_watches (
+      id SERIAL PRIMARY KEY,
+      phone VARCHAR(20) NOT NULL,
+      twilio_number VARCHAR(20) NOT NULL,
+      stop_code VARCHAR(10) NOT NULL,
+      route TEXT,
+      alert_minutes INTEGER NOT NULL,
+      alert_stops INTEGER NOT NULL,
+      error_count INTEGER NOT NULL DEFAULT 0,
+      next_check_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  console.log(`[TIMING] watcher-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Create a watch that texts the user when a bus is close
+ * @param {string} phone - User's phone number
+ * @param {string} twilioNumber - Twilio number to send the alert from
+ * @param {string} stopCode - 6-digit MTA stop code
+ * @param {string|null} route - Optional route filter (e.g., 'B63')
+ * @param {number} minutes - Alert when the bus is this many minutes away
+ * @param {number} stops - ...or this many stops away
+ * @returns {Promise<Object>} The created watch
+ */
+async function createWatch(phone, twilioNumber, stopCode, route = null, minutes = DEFAULT_ALERT_MINUTES, stops = DEFAULT_ALERT_STOPS) {
+  await initTable();
+  const routeFilter = route ? route.toUpperCase() : null;
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    INSERT INTO bus_watches (phone, twilio_number, stop_code, route, alert_minutes, alert_stops, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '${WATCH_EXPIRY_MINUTES} minutes')
+    RETURNING id
+  `, [phone, twilioNumber, stopCode, routeFilter, minutes, stops]);
+  console.log(`[TIMING] watcher-db-create: ${Date.now() - queryStart}ms`);
+
+  return {
+    id: rows[0].id,
+    stopCode,
+    route: routeFilter,
+    minutes,
+    stops,
+    expiresInMinutes: WATCH_EXPIRY_MINUTES
+  };
+}
+
+/**
+ * Cancel all watches for a phone number
+ * @param {string} phone - User's phone number
+ * @returns {Promise<number>} Number of watches cancelled
+ */
+async function cancelWatches(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rowCount } = await pool.query('DELETE FROM bus_watches WHERE phone = $1', [phone]);
+  console.log(`[TIMING] watcher-db-cancel: ${Date.now() - queryStart}ms`);
+
+  return rowCount;
+}
+
+/**
+ * Describe a watch for SMS replies
+ */
+function describeWatch(watch) {
+  const busName = watch.route ? `the next ${watch.route}` : 'the next bus';
+  return `I'll text you when ${busName} is ${watch.minutes} min or ${watch.stops} stops from ${watch.stopCode}. Expires in ${watch.expiresInMinutes} min. Text "alert off" to cancel.`;
+}
+
+/**
+ * How long to wait before polling again, given how far the bus still is
+ * from the alert threshold. Halving the slack keeps us from overshooting.
+ */
+function nextPollDelayMs(minutesAway, thresholdMinutes) {
+  if (minutesAway == null) return MAX_POLL_MS;
+  const slackMs = (minutesAway - thresholdMinutes) * 60000 / 2;
+  return Math.min(MAX_POLL_MS, Math.max(MIN_POLL_MS, slackMs));
+}
+
+/**
+ * Check a single watch against live arrivals; send the alert if due
+ */
+async function checkWatch(row, mtaAPI, sendSMS) {
+  try {
+    const arrivalData = await mtaAPI.getStopArrivals(row.stop_code, row.route);
+    // A cached ETA from before BusTime started failing could fire on a bus that's gone
+    if (arrivalData.stale) {
+      throw new Error(`BusTime unavailable (cached arrivals are ${arrivalData.ageSeconds}s old)`);
+    }
+    const next = arrivalData.arrivals[0];
+    const minutesAway = next?.expectedArrival
+      ? Math.round((new Date(next.expectedArrival) - Date.now()) / 60000)
+      : null;
+
+    // Only alert on real data: an ETA, or a stop count from BusTime's Distances extension
+    const closeByTime = minutesAway != null && minutesAway <= row.alert_minutes;
+    const closeByStops = next?.stopsAway != null && next.stopsAway <= row.alert_stops;
+    if (next && (closeByTime || closeByStops)) {
+      const eta = minutesAway > 0 ? `${minutesAway} min away`
+        : minutesAway != null || next.stopsAway === 0 ? 'arriving now' : 'close';
+      const stopsInfo = next.stopsAway > 0 ? ` (${next.stopsAway} stop${next.stopsAway > 1 ? 's' : ''})` : '';
+      await sendSMS(row.phone, row.twilio_number,
+        `Bus alert: ${next.route} to ${next.destination} is ${eta}${stopsInfo} at ${arrivalData.stopName}.`);
+      await pool.query('DELETE FROM bus_watches WHERE id = $1', [row.id]);
+      console.log(`[WATCHER] Alert sent for watch ${row.id}`);
+      return;
+    }
+
+    const delayMs = nextPollDelayMs(minutesAway, row.alert_minutes);
+    await pool.query(`
+      UPDATE bus_watches
+      SET error_count = 0, next_check_at = NOW() + $2 * INTERVAL '1 millisecond'
+      WHERE id = $1
+    `, [row.id, Math.round(delayMs)]);
+  } catch (error) {
+    // Exponential backoff on upstream errors
+    const delayMs = Math.min(MAX_POLL_MS, MIN_POLL_MS * 2 ** row.error_count);
+    console.error(`[WATCHER] Watch ${row.id} check failed: ${error.message}`);
+    await pool.query(`
+      UPDATE bus_watches
+      SET error_count = error_count + 1, next_check_at = NOW() + $2 * INTERVAL '1 millisecond'
+      WHERE id = $1
+    `, [row.id, delayMs]);
+  }
+}
+
+/**
+ * Expire old watches and check the ones that are due
+ */
+async function runWatcherTick(sendSMS) {
+  const { rows: expired } = await pool.query(
+    'DELETE FROM bus_watches WHERE expires_at < NOW() RETURNING *'
+  );
+  for (const row of expired) {
+    // One failed text shouldn't keep the rest from hearing their watch expired
+    try {
+      await sendSMS(row.phone, row.twilio_number,
+        `Bus alert for ${row.route || 'stop'} ${row.stop_code} expired after ${WATCH_EXPIRY_MINUTES} min without a bus in range.`);
+    } catch (error) {
+      console.error(`[WATCHER] Expiry notice for watch ${row.id} failed: ${error.message}`);
+    }
+  }
+
+  const { rows: due } = await pool.query(
+    'SELECT * FROM bus_watches WHERE next_check_at <= NOW() ORDER BY next_check_at'
+  );
+  if (due.length === 0) return;
+
+  const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+  for (const row of due) {
+    await checkWatch(row, mtaAPI, sendSMS);
+  }
+}
+
+/**
+ * Start the background watcher loop. Watches live in Postgres, so any
+ * still pending after a restart are picked up on the first tick.
+ * Without DATABASE_URL there's nowhere to keep watches, so nothing starts.
+ * @param {Function} sendSMS - async function(to, from, body)
+ * @returns {Promise<void>}
+ */
+async function startBusWatcher(sendSMS) {
+  if (!process.env.DATABASE_URL) {
+    console.log('Bus watcher not started (DATABASE_URL not set)');
+    return;
+  }
+  await initTable();
+
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runWatcherTick(sendSMS);
+    } catch (error) {
+      console.error('[WATCHER] Tick failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+
+  console.log(`Bus watcher started (checking every ${TICK_MS / 1000}s)`);
+}
+
+module.exports = {
+  createWatch,
+  cancelWatches,
+  describeWatch,
+  startBusWatcher,
+  DEFAULT_ALERT_MINUTES
+};
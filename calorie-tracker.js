@@ -1,82 +1,338 @@
 const { Pool } = require('pg');
+const { getTodayKey, toDateKey } = require('./log-date');
 
 const DEFAULT_TARGET = 1800;
 
+// Tracked in grams per entry; targets are optional and stored as "<macro>_target"
+const MACROS = ['protein', 'carbs', 'fat', 'fiber'];
+
 // Create a connection pool using DATABASE_URL
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
 });
 
+// Settings key recording that pre-itemized daily totals were copied into food_entries
+const LEGACY_MIGRATION_KEY = 'migrated_daily_calories';
+
+let tablesReady = null;
+
 /**
- * Initialize the calories table if it doesn't exist
+ * Initialize the food log and settings tables if they don't exist
+ * Runs once per process; later calls wait on the same setup.
  */
-async function initTable() {
+function initTable() {
+  if (!tablesReady) {
+    tablesReady = createTables().catch(error => {
+      tablesReady = null;
+      throw error;
+    });
+  }
+  return tablesReady;
+}
+
+async function createTables() {
   const start = Date.now();
   await pool.query(`
-    CREATE TABLE IF NOT EXISTS daily_calories (
-      date DATE PRIMARY KEY,
-      total INTEGER DEFAULT 0
+    CREATE TABLE IF NOT EXISTS food_entries (
+      id SERIAL PRIMARY KEY,
+      date DATE NOT NULL,
+      description TEXT,
+      items JSONB NOT NULL DEFAULT '[]',
+      calories INTEGER NOT NULL,
+      confidence TEXT,
+      source TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     )
   `);
+  await pool.query('CREATE INDEX IF NOT EXISTS food_entries_date ON food_entries (date, created_at)');
+  // Migration: macro columns
+  for (const macro of MACROS) {
+    await pool.query(`ALTER TABLE food_entries ADD COLUMN IF NOT EXISTS ${macro}_g NUMERIC`);
+  }
   await pool.query(`
     CREATE TABLE IF NOT EXISTS settings (
       key TEXT PRIMARY KEY,
       value TEXT
     )
   `);
+  await migrateDailyCalories();
   console.log(`[TIMING] db-initTable: ${Date.now() - start}ms`);
 }
 
 /**
- * Get today's date key (YYYY-MM-DD) in Eastern Time
+ * One-time migration: daily totals from before itemized logging become one
+ * entry per day. The marker row is claimed in the same transaction, so a
+ * second process blocks on it and then skips; daily_calories is left as is.
+ */
+async function migrateDailyCalories() {
+  const { rowCount: hasLegacy } = await pool.query(`
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'daily_calories'
+  `);
+  if (!hasLegacy) return;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(`
+      INSERT INTO settings (key, value) VALUES ($1, $2)
+      ON CONFLICT (key) DO NOTHING
+      RETURNING key
+    `, [LEGACY_MIGRATION_KEY, new Date().toISOString()]);
+    if (claimed.rowCount > 0) {
+      // Hold off writes from an older process until the copy commits
+      await client.query('LOCK TABLE daily_calories IN SHARE MODE');
+      const { rowCount } = await client.query(`
+        INSERT INTO food_entries (date, description, calories, source)
+        SELECT date, 'Logged before itemized tracking', total, 'legacy'
+        FROM daily_calories
+        WHERE total > 0 AND date NOT IN (SELECT date FROM food_entries)
+      `);
+      console.log(`[MIGRATION] Copied ${rowCount} daily totals into food_entries`);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function rowToEntry(row, number) {
+  return {
+    id: row.id,
+    number,
+    date: toDateKey(row.date),
+    description: row.description,
+    items: typeof row.items === 'string' ? JSON.parse(row.items) : (row.items || []),
+    calories: row.calories,
+    macros: Object.fromEntries(MACROS.map(macro => [
+      macro, row[`${macro}_g`] == null ? null : parseFloat(row[`${macro}_g`])
+    ])),
+    confidence: row.confidence,
+    source: row.source,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Sum calories and macro grams over entries
+ * @returns {Object} { calories, protein, carbs, fat, fiber }
  */
-function getTodayKey() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+function sumEntries(entries) {
+  const totals = { calories: entries.reduce((sum, e) => sum + e.calories, 0) };
+  for (const macro of MACROS) {
+    totals[macro] = Math.round(entries.reduce((sum, e) => sum + (e.macros?.[macro] || 0), 0));
+  }
+  return totals;
 }
 
 /**
- * Add calories to today's total
- * @param {number} calories - Calories to add
- * @returns {Promise<number>} New daily total
+ * Log one food estimate as an entry
+ * @param {Object} entry
+ * @param {number} entry.calories - Total calories for the entry
+ * @param {Array} [entry.items] - [{ name, calories, portion }] from the estimate
+ * @param {string} [entry.description] - What the user sent
+ * @param {Object} [entry.macros] - Grams of { protein, carbs, fat, fiber }
+ * @param {string} [entry.confidence] - 'high', 'medium', or 'low'
+ * @param {string} entry.source - 'text', 'photo', 'saved', or 'adjustment'
+ * @param {string} [entry.date] - Day to log to, YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Object>} { entry, date, total, totals } with that day's totals
  */
-async function addCalories(calories) {
+async function logFoodEntry({ calories, items = [], description = null, macros = null, confidence = null, source, date = null }) {
   await initTable();
-  const today = getTodayKey();
-  const amount = Math.round(calories);
+  const day = date || getTodayKey();
 
   const queryStart = Date.now();
   const { rows } = await pool.query(`
-    INSERT INTO daily_calories (date, total)
-    VALUES ($1, $2)
-    ON CONFLICT (date)
-    DO UPDATE SET total = daily_calories.total + $2
-    RETURNING total
-  `, [today, amount]);
-  console.log(`[TIMING] db-addCalories-query: ${Date.now() - queryStart}ms`);
+    INSERT INTO food_entries (date, description, items, calories, confidence, source, protein_g, carbs_g, fat_g, fiber_g)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    day, description, JSON.stringify(items), Math.round(calories), confidence, source,
+    ...MACROS.map(macro => macros?.[macro] ?? null)
+  ]);
+  console.log(`[TIMING] db-logFoodEntry-query: ${Date.now() - queryStart}ms`);
+
+  const entries = await getEntriesForDate(day);
+  const totals = sumEntries(entries);
+  return {
+    entry: entries.find(e => e.id === rows[0].id) || rowToEntry(rows[0], entries.length),
+    date: day,
+    total: totals.calories,
+    totals
+  };
+}
 
-  return rows[0].total;
+/**
+ * Log a calorie estimate from GeminiCalorieAPI
+ * @param {Object} calorieData - From estimateCalories() or estimateCaloriesFromImage()
+ * @param {string} source - 'text', 'photo', or 'saved'
+ * @param {string} description - The user's food description or photo caption
+ * @param {string} [date] - Day to log to, YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Object>} { entry, date, total, totals }
+ */
+async function logEstimate(calorieData, source, description = null, date = null) {
+  return logFoodEntry({
+    calories: calorieData.totalCalories,
+    items: calorieData.items,
+    macros: calorieData.macros,
+    description: description || null,
+    confidence: calorieData.confidence,
+    source,
+    date
+  });
 }
 
 /**
- * Get today's total calories
+ * Get a day's entries, numbered in the order they were logged
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+async function getEntriesForDate(date) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT * FROM food_entries WHERE date = $1 ORDER BY created_at, id
+  `, [date]);
+  console.log(`[TIMING] db-getEntries-query: ${Date.now() - queryStart}ms`);
+
+  return rows.map((row, i) => rowToEntry(row, i + 1));
+}
+
+/**
+ * Get today's entries, numbered in the order they were logged
+ * @returns {Promise<Array>}
+ */
+async function getTodayEntries() {
+  return getEntriesForDate(getTodayKey());
+}
+
+/**
+ * Get a day's total calories, summed from its entries
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>}
+ */
+async function getTotalForDate(date) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT COALESCE(SUM(calories), 0) AS total FROM food_entries WHERE date = $1
+  `, [date]);
+  console.log(`[TIMING] db-getTotal-query: ${Date.now() - queryStart}ms`);
+
+  return parseInt(rows[0].total, 10);
+}
+
+/**
+ * Get today's total calories, summed from today's entries
  * @returns {Promise<number>}
  */
 async function getTodayTotal() {
+  return getTotalForDate(getTodayKey());
+}
+
+/**
+ * Get a day's calorie and macro totals
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} { calories, protein, carbs, fat, fiber }
+ */
+async function getTotalsForDate(date) {
+  return sumEntries(await getEntriesForDate(date));
+}
+
+/**
+ * Get today's calorie and macro totals
+ * @returns {Promise<Object>} { calories, protein, carbs, fat, fiber }
+ */
+async function getTodayTotals() {
+  return sumEntries(await getTodayEntries());
+}
+
+/**
+ * Get calorie and macro totals for each day with entries in a date range
+ * @param {string} startDate - First day, YYYY-MM-DD
+ * @param {string} endDate - Last day, YYYY-MM-DD
+ * @returns {Promise<Array>} [{ date, calories, protein, carbs, fat, fiber }] oldest first
+ */
+async function getDailyTotals(startDate, endDate) {
   await initTable();
-  const today = getTodayKey();
 
   const queryStart = Date.now();
   const { rows } = await pool.query(`
-    SELECT total FROM daily_calories WHERE date = $1
-  `, [today]);
-  console.log(`[TIMING] db-getTodayTotal-query: ${Date.now() - queryStart}ms`);
+    SELECT date, SUM(calories) AS calories,
+      SUM(protein_g) AS protein, SUM(carbs_g) AS carbs, SUM(fat_g) AS fat, SUM(fiber_g) AS fiber
+    FROM food_entries
+    WHERE date BETWEEN $1 AND $2
+    GROUP BY date
+    ORDER BY date
+  `, [startDate, endDate]);
+  console.log(`[TIMING] db-getDailyTotals-query: ${Date.now() - queryStart}ms`);
+
+  return rows.map(row => ({
+    date: toDateKey(row.date),
+    calories: parseInt(row.calories, 10),
+    ...Object.fromEntries(MACROS.map(macro => [macro, Math.round(parseFloat(row[macro]) || 0)]))
+  }));
+}
 
-  return rows[0]?.total || 0;
+/**
+ * Get every entry ever logged, oldest first (for CSV export)
+ * @returns {Promise<Array>} Entries numbered within their day
+ */
+async function getAllEntries() {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query('SELECT * FROM food_entries ORDER BY date, created_at, id');
+  console.log(`[TIMING] db-getAllEntries-query: ${Date.now() - queryStart}ms`);
+
+  let day = null;
+  let number = 0;
+  return rows.map(row => {
+    const date = toDateKey(row.date);
+    number = date === day ? number + 1 : 1;
+    day = date;
+    return rowToEntry(row, number);
+  });
 }
 
 /**
- * Reset today's calories
+ * Add entries from another app's export, skipping ones already imported
+ * An entry counts as already imported when its day has an 'import' entry with
+ * the same description, so re-running an import doesn't double count.
+ * @param {Array} entries - [{ date, description, calories, macros }]
+ * @returns {Promise<Object>} { imported, skipped }
+ */
+async function importFoodEntries(entries) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query("SELECT date, description FROM food_entries WHERE source = 'import'");
+  const existing = new Set(rows.map(row => `${toDateKey(row.date)}|${row.description}`));
+
+  let imported = 0;
+  for (const entry of entries) {
+    const key = `${entry.date}|${entry.description}`;
+    if (existing.has(key)) continue;
+    existing.add(key);
+
+    await pool.query(`
+      INSERT INTO food_entries (date, description, items, calories, source, protein_g, carbs_g, fat_g, fiber_g)
+      VALUES ($1, $2, '[]', $3, 'import', $4, $5, $6, $7)
+    `, [entry.date, entry.description, Math.round(entry.calories), ...MACROS.map(macro => entry.macros?.[macro] ?? null)]);
+    imported++;
+  }
+  console.log(`[TIMING] db-importFoodEntries: ${Date.now() - queryStart}ms`);
+
+  return { imported, skipped: entries.length - imported };
+}
+
+/**
+ * Reset today's calories by deleting today's entries
  * @returns {Promise<number>} Previous total before reset
  */
 async function resetToday() {
@@ -86,40 +342,115 @@ async function resetToday() {
   // Get current total first
   const previous = await getTodayTotal();
 
-  // Reset to 0
   const queryStart = Date.now();
-  await pool.query(`
-    INSERT INTO daily_calories (date, total)
-    VALUES ($1, 0)
-    ON CONFLICT (date)
-    DO UPDATE SET total = 0
-  `, [today]);
+  await pool.query('DELETE FROM food_entries WHERE date = $1', [today]);
   console.log(`[TIMING] db-resetToday-query: ${Date.now() - queryStart}ms`);
 
   return previous;
 }
 
 /**
- * Subtract calories from today's total
+ * Subtract calories from a day's total
+ * Logged as a negative adjustment entry; the total never goes below 0.
  * @param {number} calories - Calories to subtract
- * @returns {Promise<number>} New daily total
+ * @param {string} [date] - Day to adjust, YYYY-MM-DD (defaults to today)
+ * @returns {Promise<number>} That day's new total
  */
-async function subtractCalories(calories) {
-  await initTable();
-  const today = getTodayKey();
+async function subtractCalories(calories, date = null) {
+  const current = await getTotalForDate(date || getTodayKey());
+  const amount = Math.min(Math.round(calories), current);
+  if (amount <= 0) return current;
+
+  const { total } = await logFoodEntry({
+    calories: -amount,
+    description: `Subtracted ${amount} cal`,
+    source: 'adjustment',
+    date
+  });
+  return total;
+}
+
+/**
+ * Remove the most recent entry logged today
+ * @returns {Promise<Object|null>} { entry, total, totals } or null if nothing was logged today
+ */
+async function undoLastEntry() {
+  const entries = await getTodayEntries();
+  const last = entries[entries.length - 1];
+  if (!last) return null;
+
+  const queryStart = Date.now();
+  await pool.query('DELETE FROM food_entries WHERE id = $1', [last.id]);
+  console.log(`[TIMING] db-undoLastEntry-query: ${Date.now() - queryStart}ms`);
+
+  const totals = sumEntries(entries.slice(0, -1));
+  return { entry: last, total: totals.calories, totals };
+}
+
+/**
+ * Change the calories of one of today's entries
+ * @param {number} number - Entry number from getTodayEntries() ("list today")
+ * @param {number} calories - Corrected calories
+ * @returns {Promise<Object|null>} { entry, previousCalories, total, totals } or null if no such entry
+ */
+async function editEntry(number, calories) {
+  const entries = await getTodayEntries();
+  const entry = entries[number - 1];
+  if (!entry) return null;
+
   const amount = Math.round(calories);
 
+  // A corrected calorie count is usually a corrected portion, so macros scale with it
+  const scale = entry.calories > 0 ? amount / entry.calories : null;
+  const macros = Object.fromEntries(MACROS.map(macro => [
+    macro, scale != null && entry.macros[macro] != null ? Math.round(entry.macros[macro] * scale) : entry.macros[macro]
+  ]));
+
   const queryStart = Date.now();
-  const { rows } = await pool.query(`
-    INSERT INTO daily_calories (date, total)
-    VALUES ($1, 0)
-    ON CONFLICT (date)
-    DO UPDATE SET total = GREATEST(0, daily_calories.total - $2)
-    RETURNING total
-  `, [today, amount]);
-  console.log(`[TIMING] db-subtractCalories-query: ${Date.now() - queryStart}ms`);
+  // A number the user gave us is no longer a rough guess
+  await pool.query(`
+    UPDATE food_entries
+    SET calories = $2, confidence = 'high', protein_g = $3, carbs_g = $4, fat_g = $5, fiber_g = $6
+    WHERE id = $1
+  `, [entry.id, amount, ...MACROS.map(macro => macros[macro])]);
+  console.log(`[TIMING] db-editEntry-query: ${Date.now() - queryStart}ms`);
+
+  const previousCalories = entry.calories;
+  entry.calories = amount;
+  entry.macros = macros;
+  entry.confidence = 'high';
+  const totals = sumEntries(entries);
+  return { entry, previousCalories, total: totals.calories, totals };
+}
+
+/**
+ * Describe an entry in a few words, e.g. "2 eggs, toast"
+ */
+function describeEntry(entry) {
+  if (entry.items.length > 0) return entry.items.map(item => item.name).join(', ');
+  return entry.description || (entry.source === 'photo' ? 'Photo' : 'Entry');
+}
+
+/**
+ * Format today's entries for SMS
+ * @param {Array} entries - From getTodayEntries()
+ * @returns {string}
+ */
+function formatFoodLog(entries) {
+  if (entries.length === 0) {
+    return 'Nothing logged today. Text a food description or send a photo.';
+  }
+
+  const lines = entries.map(entry => {
+    const time = new Date(entry.createdAt).toLocaleTimeString('en-US', {
+      hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York'
+    });
+    const low = entry.confidence === 'low' ? ' (rough guess)' : '';
+    return `${entry.number}. ${time} ${describeEntry(entry)}: ${entry.calories} cal${low}`;
+  });
+  const total = sumEntries(entries).calories;
 
-  return rows[0].total;
+  return `Today's food:\n${lines.join('\n')}\n\nTotal: ${total} cal\n"undo" removes the last entry, "edit entry 2 to 400" fixes one.`;
 }
 
 /**
@@ -159,4 +490,130 @@ async function setTarget(target) {
   return parseInt(value, 10);
 }
 
-module.exports = { addCalories, subtractCalories, getTodayTotal, resetToday, getTarget, setTarget };
+/**
+ * Get the optional per-macro targets
+ * @returns {Promise<Object>} { protein, carbs, fat, fiber }, null where no target is set
+ */
+async function getMacroTargets() {
+  await initTable();
+
+  const queryStart = Date.now();
+  const keys = MACROS.map(macro => `${macro}_target`);
+  const { rows } = await pool.query(`
+    SELECT key, value FROM settings WHERE key IN (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+  `, keys);
+  console.log(`[TIMING] db-getMacroTargets-query: ${Date.now() - queryStart}ms`);
+
+  const values = new Map(rows.map(r => [r.key, parseInt(r.value, 10)]));
+  return Object.fromEntries(MACROS.map(macro => [macro, values.get(`${macro}_target`) ?? null]));
+}
+
+/**
+ * Set or clear a daily macro target
+ * @param {string} macro - 'protein', 'carbs', 'fat', or 'fiber'
+ * @param {number|null} grams - New target, or null/0 to clear it
+ * @returns {Promise<number|null>} The new target
+ */
+async function setMacroTarget(macro, grams) {
+  if (!MACROS.includes(macro)) {
+    throw new Error(`Unknown macro "${macro}". Use protein, carbs, fat, or fiber.`);
+  }
+  await initTable();
+  const key = `${macro}_target`;
+
+  const queryStart = Date.now();
+  if (!grams) {
+    await pool.query('DELETE FROM settings WHERE key = $1', [key]);
+    console.log(`[TIMING] db-setMacroTarget-query: ${Date.now() - queryStart}ms`);
+    return null;
+  }
+
+  const value = Math.round(grams).toString();
+  await pool.query(`
+    INSERT INTO settings (key, value)
+    VALUES ($1, $2)
+    ON CONFLICT (key)
+    DO UPDATE SET value = $2
+  `, [key, value]);
+  console.log(`[TIMING] db-setMacroTarget-query: ${Date.now() - queryStart}ms`);
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Get the weight goal used to propose calorie targets
+ * @returns {Promise<number|null>} lbs/week (negative to lose, 0 to maintain), or null if unset
+ */
+async function getWeightGoal() {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT value FROM settings WHERE key = 'weight_goal_lbs_week'
+  `);
+  console.log(`[TIMING] db-getWeightGoal-query: ${Date.now() - queryStart}ms`);
+
+  return rows[0] ? parseFloat(rows[0].value) : null;
+}
+
+/**
+ * Set the weight goal rate
+ * @param {number} lbsPerWeek - e.g. -1 for "lose 1 lb/week", 0 to maintain
+ * @returns {Promise<number>} The new goal
+ */
+async function setWeightGoal(lbsPerWeek) {
+  await initTable();
+  const value = (Math.round(lbsPerWeek * 100) / 100).toString();
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO settings (key, value)
+    VALUES ('weight_goal_lbs_week', $1)
+    ON CONFLICT (key)
+    DO UPDATE SET value = $1
+  `, [value]);
+  console.log(`[TIMING] db-setWeightGoal-query: ${Date.now() - queryStart}ms`);
+
+  return parseFloat(value);
+}
+
+/**
+ * Compact macro progress for SMS, protein first
+ * e.g. "P 85/150g | C 120g | F 40g | Fiber 12/30g"
+ * @param {Object} totals - From getTodayTotals() or a log result
+ * @param {Object} targets - From getMacroTargets()
+ * @returns {string}
+ */
+function formatMacroProgress(totals, targets) {
+  const labels = { protein: 'P', carbs: 'C', fat: 'F', fiber: 'Fiber' };
+  return MACROS.map(macro => {
+    const target = targets[macro];
+    return `${labels[macro]} ${totals[macro]}${target ? `/${target}` : ''}g`;
+  }).join(' | ');
+}
+
+module.exports = {
+  logFoodEntry,
+  logEstimate,
+  getEntriesForDate,
+  getTodayEntries,
+  subtractCalories,
+  getTodayTotal,
+  getTodayTotals,
+  getTotalsForDate,
+  getDailyTotals,
+  getAllEntries,
+  importFoodEntries,
+  resetToday,
+  undoLastEntry,
+  editEntry,
+  describeEntry,
+  formatFoodLog,
+  getTarget,
+  setTarget,
+  getMacroTargets,
+  setMacroTarget,
+  getWeightGoal,
+  setWeightGoal,
+  formatMacroProgress
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Geocoder = require('./geocoder');
+const { MTABusAPI, distanceMeters } = require('./mta-api');
+
+// Citi Bike publishes GBFS feeds as <base>/<feed>.json. CITIBIKE_GBFS_URL may
+// also be a local directory of recorded feed files for offline testing.
+const DEFAULT_GBFS_URL = 'https://gbfs.citibikenyc.com/gbfs/en';
+
+// Station locations barely change; availability changes constantly. GBFS
+// feeds carry their own ttl, but we never poll status more than every 30s.
+const INFORMATION_TTL_MS = 60 * 60 * 1000;
+const MIN_STATUS_TTL_MS = 30 * 1000;
+
+const SEARCH_RADIUS_METERS = 800;
+const MAX_STATIONS = 3;
+
+// Feed name -> { data, fetchedAt, ttlMs, inflight }, per base URL
+const feedCache = new Map();
+
+// GBFS v1 sends station flags as 1/0, v2+ as true/false
+function isSet(flag) {
+  return !!Number(flag);
+}
+
+class CitiBikeAPI {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.gbfsUrl] - GBFS base URL or fixture directory (default CITIBIKE_GBFS_URL)
+   * @param {Geocoder} [options.geocoder] - Geocoder for place names
+   * @param {MTABusAPI} [options.busAPI] - Used to look up bus stop coordinates
+   */
+  constructor(options = {}) {
+    this.gbfsUrl = (options.gbfsUrl || process.env.CITIBIKE_GBFS_URL || DEFAULT_GBFS_URL).replace(/\/+$/, '');
+    this.geocoder = options.geocoder || new Geocoder();
+    this.busAPI = options.busAPI || new MTABusAPI(process.env.MTA_API_KEY, { geocoder: this.geocoder });
+  }
+
+  /**
+   * Read one GBFS feed (e.g., 'station_status'), cached for its ttl
+   */
+  async getFeed(name, minTtlMs) {
+    const key = `${this.gbfsUrl}|${name}`;
+    const entry = feedCache.get(key) || {};
+
+    if (entry.data && Date.now() - entry.fetchedAt < entry.ttlMs) return entry.data;
+    if (entry.inflight) return entry.inflight;
+
+    entry.inflight = this.fetchFeed(name)
+      .then(feed => {
+        entry.data = feed.data;
+        entry.fetchedAt = Date.now();
+        entry.ttlMs = Math.max(minTtlMs, (feed.ttl || 0) * 1000);
+        return feed.data;
+      })
+      .finally(() => {
+        entry.inflight = null;
+      });
+    feedCache.set(key, entry);
+
+    return entry.inflight;
+  }
+
+  /**
+   * Fetch a GBFS feed over HTTP, or read it from disk for a fixture directory
+   */
+  async fetchFeed(name) {
+    try {
+      if (!/^https?:\/\//.test(this.gbfsUrl)) {
+        return JSON.parse(fs.readFileSync(path.join(this.gbfsUrl, `${name}.json`), 'utf8'));
+      }
+
+      const axiosStart = Date.now();
+      const response = await axios.get(`${this.gbfsUrl}/${name}.json`);
+      console.log(`[TIMING] gbfs-${name}: ${Date.now() - axiosStart}ms`);
+      return response.data;
+    } catch (error) {
+      console.error('GBFS Error:', error.message);
+      throw new Error('Unable to fetch Citi Bike availability');
+    }
+  }
+
+  /**
+   * Join station_information with station_status and return the nearest
+   * stations to a point
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} want - 'bikes' or 'docks'; stations with none of those are skipped
+   * @returns {Promise<Array>} Stations sorted by distance
+   */
+  async getStationsNear(lat, lon, want = 'bikes') {
+    const [information, status] = await Promise.all([
+      this.getFeed('station_information', INFORMATION_TTL_MS),
+      this.getFeed('station_status', MIN_STATUS_TTL_MS)
+    ]);
+
+    return this.parseStations(information, status, lat, lon, want);
+  }
+
+  /**
+   * Merge GBFS station_information and station_status data blocks.
+   * Works directly on fixture JSON.
+   */
+  parseStations(information, status, lat, lon, want = 'bikes') {
+    const statusById = new Map((status?.stations || []).map(s => [s.station_id, s]));
+
+    return (information?.stations || [])
+      .map(station => {
+        const live = statusById.get(station.station_id);
+        if (!live) return null;
+
+        const ebikes = live.num_ebikes_available || 0;
+        return {
+          id: station.station_id,
+          name: station.name,
+          lat: station.lat,
+          lon: station.lon,
+          distanceMeters: distanceMeters(lat, lon, station.lat, station.lon),
+          bikes: Math.max(0, (live.num_bikes_available || 0) - ebikes),
+          ebikes,
+          docks: live.num_docks_available || 0,
+          renting: isSet(live.is_installed) && isSet(live.is_renting),
+          returning: isSet(live.is_installed) && isSet(live.is_returning)
+        };
+      })
+      .filter(station => station && station.distanceMeters <= SEARCH_RADIUS_METERS)
+      .filter(station => (want === 'docks'
+        ? station.returning && station.docks > 0
+        : station.renting && station.bikes + station.ebikes > 0))
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)
+      .slice(0, MAX_STATIONS);
+  }
+
+  /**
+   * Find Citi Bike availability near a bus stop code or a place name
+   * @param {string} query - 6-digit MTA stop code, "lat,lon", or a location (e.g., "Atlantic Terminal")
+   * @param {string} want - 'bikes' or 'docks'
+   * @returns {Promise<Object>} { found, anchor, want, stations }
+   */
+  async findNear(query, want = 'bikes') {
+    let anchor;
+    const coords = query.trim().match(/^(-?\d{1,3}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)$/);
+
+    if (coords) {
+      anchor = { lat: parseFloat(coords[1]), lon: parseFloat(coords[2]), label: 'your location' };
+    } else if (/^\d{6}$/.test(query.trim())) {
+      const stop = await this.busAPI.getStop(query.trim());
+      if (!stop) {
+        return { found: false, error: `Couldn't find bus stop ${query.trim()}.` };
+      }
+      anchor = { lat: stop.lat, lon: stop.lon, label: `stop ${stop.code} (${stop.name})` };
+    } else {
+      const location = await this.geocoder.geocode(query);
+      if (!location.found) {
+        return { found: false, error: `Couldn't find "${query}".` };
+      }
+      anchor = { lat: location.lat, lon: location.lon, label: location.label || query };
+    }
+
+    const stations = await this.getStationsNear(anchor.lat, anchor.lon, want);
+    return { found: stations.length > 0, anchor: anchor.label, want, stations };
+  }
+
+  /**
+   * Format nearby stations for SMS
+   */
+  formatAsText(result) {
+    if (result.error) {
+      return `${result.error} Try "bikes near 308209" or "docks Atlantic Terminal".`;
+    }
+    if (!result.found) {
+      return `No Citi Bike stations with ${result.want === 'docks' ? 'free docks' : 'bikes'} within ${SEARCH_RADIUS_METERS}m of ${result.anchor}.`;
+    }
+
+    const lines = result.stations.map(station => {
+      const counts = [
+        `${station.bikes} bike${station.bikes === 1 ? '' : 's'}`,
+        `${station.ebikes} e-bike${station.ebikes === 1 ? '' : 's'}`,
+        `${station.docks} dock${station.docks === 1 ? '' : 's'}`
+      ];
+      return `${station.name} (${station.distanceMeters}m)\n${counts.join(', ')}`;
+    });
+
+    return `Citi Bike near ${result.anchor}:\n\n${lines.join('\n\n')}`;
+  }
+}
+
+module.exports = CitiBikeAPI;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { getAllEntries, getDailyTotals } = require('./calorie-tracker');
+const { getAllSets, getExerciseCaloriesByDate } = require('./workout-tracker');
+const { getTodayKey } = require('./log-date');
+
+// Download links stop working after this long
+const LINK_EXPIRY_HOURS = 24;
+
+const MACROS = ['protein', 'carbs', 'fat', 'fiber'];
+
+// Start of the range for daily totals; imports can bring in years-old history
+const EARLIEST_DATE = '1900-01-01';
+
+/**
+ * Quote a CSV field when needed
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't
+ * run a food description as a formula. Numbers are left alone.
+ */
+function csvField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * One row per day: calories and macros eaten, and exercise burned
+ * Past targets aren't kept, so there's no target column.
+ */
+async function buildDailyCsv() {
+  const today = getTodayKey();
+  const [dailyTotals, exerciseByDate] = await Promise.all([
+    getDailyTotals(EARLIEST_DATE, today),
+    getExerciseCaloriesByDate(EARLIEST_DATE, today)
+  ]);
+
+  const days = new Map(dailyTotals.map(day => [day.date, day]));
+  const dates = [...new Set([...days.keys(), ...exerciseByDate.keys()])].sort();
+
+  return toCsv(
+    ['date', 'calories', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'exercise_calories'],
+    dates.map(date => {
+      const day = days.get(date);
+      return [
+        date,
+        day ? day.calories : 0,
+        ...MACROS.map(macro => (day ? day[macro] : 0)),
+        exerciseByDate.get(date) || 0
+      ];
+    })
+  );
+}
+
+/**
+ * One row per food entry, with its items as "name (portion, cal)" separated by semicolons
+ */
+async function buildFoodCsv() {
+  const entries = await getAllEntries();
+  return toCsv(
+    ['date', 'entry', 'description', 'items', 'calories', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'confidence', 'source', 'logged_at'],
+    entries.map(entry => [
+      entry.date,
+      entry.number,
+      entry.description,
+      entry.items.map(item => `${item.name} (${item.portion ? `${item.portion}, ` : ''}${item.calories} cal)`).join('; '),
+      entry.calories,
+      ...MACROS.map(macro => entry.macros[macro]),
+      entry.confidence,
+      entry.source,
+      entry.createdAt instanceof Date ? entry.createdAt.toISOString() : entry.createdAt
+    ])
+  );
+}
+
+/**
+ * One row per set
+ */
+async function buildWorkoutCsv() {
+  const sets = await getAllSets();
+  return toCsv(
+    ['date', 'exercise', 'weight_lbs', 'reps', 'difficulty', 'calories_burned'],
+    sets.map(set => [set.date, set.exercise, set.weightLbs, set.reps, set.difficulty, set.calories])
+  );
+}
+
+// Download name and builder for each export
+const EXPORTS = {
+  daily: { filename: 'daily-calories.csv', build: buildDailyCsv },
+  food: { filename: 'food-entries.csv', build: buildFoodCsv },
+  workouts: { filename: 'workout-sets.csv', build: buildWorkoutCsv }
+};
+
+/**
+ * Build one export as CSV text
+ * @param {string} kind - 'daily', 'food', or 'workouts'
+ * @returns {Promise<Object|null>} { filename, csv } or null for an unknown kind
+ */
+async function buildExport(kind) {
+  const exporter = EXPORTS[kind];
+  if (!exporter) return null;
+  return { filename: exporter.filename, csv: await exporter.build() };
+}
+
+function getPublicUrl() {
+  if (process.env.PUBLIC_URL) return process.env.PUBLIC_URL.replace(/\/$/, '');
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+  return null;
+}
+
+function sign(kind, expires) {
+  return crypto.createHmac('sha256', process.env.EXPORT_SECRET)
+    .update(`${kind}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Create signed, expiring download links for every export
+ * @returns {Object} { links: [{ kind, url }], expiresHours } or { error } if exports aren't configured
+ */
+function createExportLinks() {
+  const baseUrl = getPublicUrl();
+  if (!process.env.EXPORT_SECRET || !baseUrl) {
+    return { error: 'Exports are not set up. Set EXPORT_SECRET and PUBLIC_URL on the server.' };
+  }
+
+  const expires = Date.now() + LINK_EXPIRY_HOURS * 60 * 60 * 1000;
+  return {
+    links: Object.keys(EXPORTS).map(kind => ({
+      kind,
+      url: `${baseUrl}/export/${kind}.csv?expires=${expires}&sig=${sign(kind, expires)}`
+    })),
+    expiresHours: LINK_EXPIRY_HOURS
+  };
+}
+
+/**
+ * Check a download link's signature and expiry
+ * @param {string} kind - Export kind from the URL
+ * @param {string} expires - Expiry timestamp (ms) from the query string
+ * @param {string} sig - Signature from the query string
+ * @returns {boolean}
+ */
+function verifyExportLink(kind, expires, sig) {
+  if (!process.env.EXPORT_SECRET || !EXPORTS[kind]) return false;
+  if (!/^\d+$/.test(expires || '') || Number(expires) < Date.now()) return false;
+  if (!/^[0-9a-f]{64}$/.test(sig || '')) return false;
+  return crypto.timingSafeEqual(Buffer.from(sig, 'hex'), Buffer.from(sign(kind, expires), 'hex'));
+}
+
+/**
+ * Format export links for SMS
+ */
+function formatExportLinks(result) {
+  if (result.error) return result.error;
+  const labels = { daily: 'Daily totals', food: 'Food entries', workouts: 'Workout sets' };
+  return `CSV exports (links work for ${result.expiresHours} hours):\n\n` +
+    result.links.map(link => `${labels[link.kind]}: ${link.url}`).join('\n\n');
+}
+
+module.exports = {
+  buildExport,
+  createExportLinks,
+  verifyExportLink,
+  formatExportLinks
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const { importFoodEntries } = require('./calorie-tracker');
+const { importSets } = require('./workout-tracker');
+
+const LBS_PER_KG = 2.20462;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Equipment in "Bench Press (Dumbbell)" that's left off, since dumbbells and
+// bodyweight are what get logged by text; other equipment becomes a prefix
+// ("Squat (Barbell)" -> "barbell squat") to keep that history separate
+const DEFAULT_EQUIPMENT = ['dumbbell', 'bodyweight'];
+
+// Strong/Hevy/MyFitnessPal names -> the names used when logging by text
+const EXERCISE_ALIASES = {
+  'pull up': 'pull-ups',
+  'chin up': 'chin-ups',
+  'push up': 'push-ups',
+  'triceps dip': 'dips',
+  'chest dip': 'dips',
+  'bench dip': 'dips',
+  'shoulder press': 'overhead press',
+  'bicep curl': 'bicep curls',
+  'hammer curl': 'hammer curls',
+  'bent over row': 'row',
+  'bent over one arm row': 'row',
+  'lunge': 'lunges',
+  'walking lunge': 'lunges'
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, "" escapes, CRLF, a UTF-8 BOM, and the semicolon
+ * delimiter some Strong exports use.
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn parsed rows into objects keyed by the header row
+ */
+function toRecords(rows) {
+  const [header = [], ...body] = rows;
+  const keys = header.map(key => key.trim());
+  return { headers: keys, records: body.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] || '').trim()]))) };
+}
+
+/**
+ * Date key (YYYY-MM-DD) from the formats these apps export:
+ * "2024-01-15 08:30:00", "1/15/2024", or Hevy's "15 Jan 2024, 08:30"
+ * @returns {string|null}
+ */
+function parseImportDate(text) {
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  let year, month, day;
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/))) {
+    [, month, day, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4})/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+  if (!month || month > 12 || !day || day > 31) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function toNumber(value) {
+  const number = parseFloat(String(value || '').replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Map an exercise name from another app to the name used when logging by text
+ * @param {string} name - e.g. "Bench Press (Dumbbell)", "Pull Up"
+ * @param {Object} [names] - Custom { "Source Name": "our name" } map, checked first
+ */
+function mapExerciseName(name, names = {}) {
+  const custom = Object.keys(names).find(key => key.toLowerCase() === name.toLowerCase());
+  if (custom) return names[custom];
+
+  const match = name.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+  const base = (match ? match[1] : name).toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+  const equipment = match ? match[2].toLowerCase().trim() : null;
+
+  const mapped = EXERCISE_ALIASES[base] || base;
+  return equipment && !DEFAULT_EQUIPMENT.includes(equipment) ? `${equipment} ${mapped}` : mapped;
+}
+
+/**
+ * Weight in lbs from a set's weight column, rounded to 0.1
+ */
+function toLbs(weight, inKg) {
+  if (!weight) return null;
+  return Math.round((inKg ? weight * LBS_PER_KG : weight) * 10) / 10;
+}
+
+/**
+ * MyFitnessPal "Nutrition Summary": one row per meal per day
+ * Each day's meal becomes one entry, e.g. "Breakfast (MyFitnessPal)".
+ */
+function readMyFitnessPalNutrition(records) {
+  const meals = new Map();
+  let ignored = 0;
+  for (const record of records) {
+    const date = parseImportDate(record.Date);
+    const calories = toNumber(record.Calories);
+    if (!date || !calories) {
+      ignored++;
+      continue;
+    }
+    const description = `${record.Meal || 'Food'} (MyFitnessPal)`;
+    const key = `${date}|${description}`;
+    if (!meals.has(key)) {
+      meals.set(key, { date, description, calories: 0, macros: { protein: 0, carbs: 0, fat: 0, fiber: 0 } });
+    }
+    const meal = meals.get(key);
+    meal.calories += calories;
+    meal.macros.protein += toNumber(record['Protein (g)']) || 0;
+    meal.macros.carbs += toNumber(record['Carbohydrates (g)']) || 0;
+    meal.macros.fat += toNumber(record['Fat (g)']) || 0;
+    meal.macros.fiber += toNumber(record.Fiber) || 0;
+  }
+  return { entries: [...meals.values()], ignored };
+}
+
+/**
+ * MyFitnessPal "Exercise Summary": strength rows have sets, reps, and pounds;
+ * cardio rows have no reps and are skipped
+ */
+function readMyFitnessPalExercise(records, { names }) {
+  const sets = [];
+  let ignored = 0;
+  for (const record of records) {
+    const date = parseImportDate(record.Date);
+    const numSets = toNumber(record.Sets);
+    const reps = toNumber(record['Reps Per Set']);
+    if (!date || !numSets || !reps) {
+      ignored++;
+      continue;
+    }
+    const exercise = mapExerciseName(record.Exercise, names);
+    const weightLbs = toLbs(toNumber(record.Pounds), false);
+    for (let i = 0; i < numSets; i++) {
+      sets.push({ date, exercise, weightLbs, reps: Math.round(reps) });
+    }
+  }
+  return { sets, ignored };
+}
+
+/**
+ * Strong or Hevy: one row per set
+ * Rest timers, notes, and cardio rows have no reps and are skipped.
+ */
+function readSetRows(records, headers, columns, { kg, names }) {
+  const weightColumn = headers.find(header => /^weight/i.test(header));
+  // Newer exports name the unit ("Weight (kg)", "weight_lbs"); older Strong ones use the app's setting
+  const inKg = /kg/i.test(weightColumn || '') || (kg && !/lb/i.test(weightColumn || ''));
+
+  const sets = [];
+  let ignored = 0;
+  for (const record of records) {
+    const date = parseImportDate(record[columns.date] || '');
+    const reps = toNumber(record[columns.reps]);
+    if (!date || !reps || !record[columns.exercise]) {
+      ignored++;
+      continue;
+    }
+    sets.push({
+      date,
+      exercise: mapExerciseName(record[columns.exercise], names),
+      weightLbs: toLbs(toNumber(record[weightColumn]), inKg),
+      reps: Math.round(reps)
+    });
+  }
+  return { sets, ignored };
+}
+
+// Each format is recognized by columns only its export has
+const FORMATS = [
+  {
+    name: 'MyFitnessPal nutrition',
+    matches: headers => headers.includes('Meal') && headers.includes('Calories'),
+    read: readMyFitnessPalNutrition
+  },
+  {
+    name: 'MyFitnessPal exercise',
+    matches: headers => headers.includes('Exercise') && headers.includes('Reps Per Set'),
+    read: readMyFitnessPalExercise
+  },
+  {
+    name: 'Strong',
+    matches: headers => headers.includes('Exercise Name') && headers.includes('Set Order'),
+    read: (records, options, headers) => readSetRows(records, headers, { date: 'Date', exercise: 'Exercise Name', reps: 'Reps' }, options)
+  },
+  {
+    name: 'Hevy',
+    matches: headers => headers.includes('exercise_title') && headers.includes('set_index'),
+    read: (records, options, headers) => readSetRows(records, headers, { date: 'start_time', exercise: 'exercise_title', reps: 'reps' }, options)
+  }
+];
+
+/**
+ * Import a MyFitnessPal, Strong, or Hevy CSV export
+ * The format is detected from the header row. Rows already imported are
+ * skipped, so the same file can be imported again safely.
+ * @param {string} text - CSV file contents
+ * @param {Object} [options]
+ * @param {boolean} [options.kg] - Strong weights are in kg (older exports don't say)
+ * @param {Object} [options.names] - Custom exercise name map, { "Source Name": "our name" }
+ * @returns {Promise<Object>} { format, imported, skipped, ignored }; ignored rows had no usable data
+ */
+async function importCsv(text, options = {}) {
+  const { headers, records } = toRecords(parseCsv(text));
+  const format = FORMATS.find(f => f.matches(headers));
+  if (!format) {
+    throw new Error('Unrecognized CSV. Expected a MyFitnessPal nutrition or exercise summary, or a Strong or Hevy workout export.');
+  }
+
+  const { entries, sets, ignored } = format.read(records, { kg: false, names: {}, ...options }, headers);
+  const result = entries ? await importFoodEntries(entries) : await importSets(sets);
+  return { format: format.name, ...result, ignored };
+}
+
+/**
+ * Import a CSV export from disk
+ * @param {string} filePath
+ * @param {Object} [options] - See importCsv()
+ */
+async function importCsvFile(filePath, options = {}) {
+  return importCsv(fs.readFileSync(filePath, 'utf8'), options);
+}
+
+module.exports = {
+  importCsv,
+  importCsvFile
+};
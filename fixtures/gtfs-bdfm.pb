@@ -0,0 +1,27 @@
+
+
+1.0Ǟ?
+F19
+
+F1*FȞȞ"A41Nɞɞ"A40N'
+F2!
+
+F2*F̞̞"A41N?
+F39
+
+F3*FȞȞ"F20Sʞʞ"A41S(
+F4"
+
+F4*FXΞΞ"A41S'
+B1!
+
+B1*Bɞɞ"D14N?
+B29
+
+B2*Bʞʞ"D25S˞˞"D26S'
+B3!
+
+B3*B͞͞"D25N'
+D1!
+
+D1*DǞǞ"D14S
\ No newline at end of file
@@ -0,0 +1,404 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Pool } = require('pg');
+const { logFoodEntry } = require('./calorie-tracker');
+
+const MACROS = ['protein', 'carbs', 'fat', 'fiber'];
+const IMPORT_BATCH_SIZE = 500;
+const PRODUCT_COLUMNS = ['barcode', 'name', 'brand', 'serving_size', 'serving_grams', 'kcal_100g', 'protein_100g', 'carbs_100g', 'fat_100g', 'fiber_100g'];
+
+// A label or product waits this long for "how many servings?"
+const PENDING_EXPIRY_MINUTES = 15;
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the product database and pending servings tables if they don't exist
+ * food_products is filled by scripts/import-products.js from an Open Food Facts dump.
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS food_products (
+      barcode VARCHAR(14) PRIMARY KEY,
+      name TEXT NOT NULL,
+      brand TEXT,
+      serving_size TEXT,
+      serving_grams NUMERIC,
+      kcal_100g NUMERIC NOT NULL,
+      protein_100g NUMERIC,
+      carbs_100g NUMERIC,
+      fat_100g NUMERIC,
+      fiber_100g NUMERIC
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pending_servings (
+      phone VARCHAR(20) PRIMARY KEY,
+      product_json TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  console.log(`[TIMING] products-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Whether a UPC/EAN/GTIN has a valid check digit
+ * @param {string} code - 8, 12, 13, or 14 digits
+ */
+function isValidBarcode(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * The forms a barcode may be stored under: Open Food Facts keeps UPC-A
+ * codes both as 12 digits and zero-padded to EAN-13
+ */
+function barcodeVariants(code) {
+  const variants = new Set([code]);
+  if (code.length === 12) variants.add(`0${code}`);
+  if (code.length === 13 && code.startsWith('0')) variants.add(code.slice(1));
+  return [...variants];
+}
+
+/**
+ * Look up a product by barcode in the local product database
+ * @param {string} barcode - Digits read from the photo
+ * @returns {Promise<Object|null>} { barcode, productName, servingSize, perServing } or null
+ */
+async function lookupProduct(barcode) {
+  if (!isValidBarcode(barcode)) return null;
+  await initTable();
+
+  const variants = barcodeVariants(barcode);
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    `SELECT * FROM food_products WHERE barcode IN (${variants.map((_, i) => `$${i + 1}`).join(', ')}) LIMIT 1`,
+    variants
+  );
+  console.log(`[TIMING] products-db-lookup: ${Date.now() - queryStart}ms`);
+
+  const row = rows[0];
+  if (!row) return null;
+
+  // Values are stored per 100g; without a serving weight, 100g is the serving
+  const grams = row.serving_grams ? parseFloat(row.serving_grams) : 100;
+  const scale = grams / 100;
+  const perServing = { calories: Math.round(parseFloat(row.kcal_100g) * scale) };
+  for (const macro of MACROS) {
+    perServing[macro] = Math.round((parseFloat(row[`${macro}_100g`]) || 0) * scale);
+  }
+
+  return {
+    barcode: row.barcode,
+    productName: row.brand ? `${row.brand} ${row.name}` : row.name,
+    servingSize: row.serving_grams ? (row.serving_size || `${grams}g`) : '100g',
+    perServing
+  };
+}
+
+/**
+ * Remember a label or product until the user says how many servings they had
+ * @param {string} phone - User's phone number
+ * @param {Object} product - { productName, servingSize, perServing, source, date }
+ */
+async function savePendingServings(phone, product) {
+  await initTable();
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO pending_servings (phone, product_json)
+    VALUES ($1, $2)
+    ON CONFLICT (phone)
+    DO UPDATE SET product_json = $2, created_at = NOW()
+  `, [phone, JSON.stringify(product)]);
+  console.log(`[TIMING] products-db-savePending: ${Date.now() - queryStart}ms`);
+}
+
+/**
+ * Get the label or product waiting for a serving count, if it hasn't expired
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object|null>}
+ */
+async function getPendingServings(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT product_json FROM pending_servings
+    WHERE phone = $1 AND created_at > NOW() - INTERVAL '${PENDING_EXPIRY_MINUTES} minutes'
+  `, [phone]);
+  console.log(`[TIMING] products-db-getPending: ${Date.now() - queryStart}ms`);
+
+  return rows[0] ? JSON.parse(rows[0].product_json) : null;
+}
+
+async function clearPendingServings(phone) {
+  await pool.query('DELETE FROM pending_servings WHERE phone = $1', [phone]);
+}
+
+/**
+ * Read a serving count from text: "2", "1.5 servings", "half", "1/2"
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseServings(text) {
+  const match = (text || '').toLowerCase().match(/(\d+\/\d+|\d+(?:\.\d+)?|half|one|two|three|four)\s*(?:servings?|x)?\b/);
+  if (!match) return null;
+
+  const words = { half: 0.5, one: 1, two: 2, three: 3, four: 4 };
+  let servings;
+  if (match[1] in words) {
+    servings = words[match[1]];
+  } else if (match[1].includes('/')) {
+    const [numerator, denominator] = match[1].split('/').map(Number);
+    servings = denominator ? numerator / denominator : NaN;
+  } else {
+    servings = parseFloat(match[1]);
+  }
+  return servings > 0 && servings <= 20 ? servings : null;
+}
+
+/**
+ * Log the pending label or product for a number of servings
+ * @param {string} phone - User's phone number
+ * @param {number} servings - Servings eaten
+ * @returns {Promise<Object|null>} { product, servings, logged } or null if nothing is pending
+ */
+async function logPendingServings(phone, servings) {
+  const product = await getPendingServings(phone);
+  if (!product) return null;
+
+  const macros = {};
+  for (const macro of MACROS) {
+    macros[macro] = Math.round(product.perServing[macro] * servings);
+  }
+  const calories = Math.round(product.perServing.calories * servings);
+  const name = product.productName || 'Labeled food';
+
+  const logged = await logFoodEntry({
+    calories,
+    items: [{ name, calories, portion: `${servings} x ${product.servingSize}`, ...macros }],
+    description: name,
+    macros,
+    confidence: 'high',
+    source: product.source,
+    date: product.date || null
+  });
+  await clearPendingServings(phone);
+
+  return { product, servings, calories, logged };
+}
+
+/**
+ * Ask how many servings, e.g. "Clif Bar, per serving (1 bar (68g)): 250 cal ..."
+ */
+function formatServingsQuestion(product) {
+  const { perServing } = product;
+  const name = product.productName || (product.source === 'barcode' ? 'Product' : 'Nutrition label');
+  return `${name}, per serving (${product.servingSize}): ${perServing.calories} cal\n` +
+    `P ${perServing.protein}g | C ${perServing.carbs}g | F ${perServing.fat}g | Fiber ${perServing.fiber}g\n\n` +
+    'How many servings? (e.g., "1", "2", "half")';
+}
+
+/**
+ * Handle a food-related photo: exact values from a nutrition label or a
+ * known barcode, with a Gemini estimate only as the fallback
+ * @param {Object} request
+ * @param {GeminiCalorieAPI} request.geminiAPI
+ * @param {string} request.phone - User's phone number
+ * @param {Buffer} request.imageBuffer
+ * @param {string} request.mimeType
+ * @param {string} [request.textContext] - Text sent with the photo
+ * @param {string} [request.date] - Day to log servings to, YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Object>} { reply } when answered directly, or { calorieData } for the caller to log
+ */
+async function analyzeFoodPhoto({ geminiAPI, phone, imageBuffer, mimeType, textContext = '', date = null }) {
+  const photo = await geminiAPI.analyzePhoto(imageBuffer, mimeType, textContext);
+
+  let product = null;
+  if (photo.kind === 'label') {
+    product = { ...photo, source: 'label', date };
+  } else if (photo.kind === 'barcode') {
+    const found = await lookupProduct(photo.barcode);
+    if (found) {
+      product = { ...found, source: 'barcode', date };
+    } else {
+      console.log(`[PRODUCTS] Barcode ${photo.barcode} not in product database, estimating`);
+    }
+  } else if (photo.kind === 'food' && photo.success && photo.totalCalories) {
+    return { calorieData: photo };
+  }
+
+  if (!product) {
+    return { calorieData: await geminiAPI.estimateCaloriesFromImage(imageBuffer, mimeType, textContext) };
+  }
+
+  await savePendingServings(phone, product);
+
+  // "had 2 servings" in the caption answers the question up front
+  const servings = /serving|half/i.test(textContext) ? parseServings(textContext) : null;
+  if (servings) {
+    const result = await logPendingServings(phone, servings);
+    return { reply: formatServingsLogged(result), logged: result.logged };
+  }
+
+  return { reply: formatServingsQuestion(product) };
+}
+
+/**
+ * Confirm a logged serving count, e.g. "Logged 2 x 1 bar (68g) Clif Bar: 500 cal"
+ */
+function formatServingsLogged(result) {
+  const name = result.product.productName || 'labeled food';
+  return `Logged ${result.servings} x ${result.product.servingSize} ${name}: ${result.calories} cal`;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Map one Open Food Facts record (JSONL object or CSV row) to a food_products row
+ * Works for both exports since the CSV flattens nutriments into the same names.
+ * @returns {Array|null} Column values, or null if the record can't be used
+ */
+function toProductRow(record, country) {
+  const nutriments = record.nutriments || record;
+  const barcode = String(record.code || '').trim();
+  const name = (record.product_name || record.product_name_en || '').trim();
+  let kcal = toNumber(nutriments['energy-kcal_100g']);
+  if (kcal == null && toNumber(nutriments.energy_100g) != null) {
+    kcal = toNumber(nutriments.energy_100g) / 4.184; // kJ
+  }
+
+  if (!/^\d{8,14}$/.test(barcode) || !name || kcal == null || kcal > 900) return null;
+
+  if (country) {
+    const countries = Array.isArray(record.countries_tags) ? record.countries_tags.join(',') : String(record.countries_tags || record.countries_en || '');
+    if (!countries.toLowerCase().includes(country)) return null;
+  }
+
+  const servingGrams = toNumber(record.serving_quantity);
+  return [
+    barcode,
+    name.slice(0, 200),
+    (record.brands || '').split(',')[0].trim() || null,
+    (record.serving_size || '').trim() || null,
+    servingGrams > 0 && servingGrams < 2000 ? servingGrams : null,
+    Math.round(kcal * 10) / 10,
+    toNumber(nutriments.proteins_100g),
+    toNumber(nutriments.carbohydrates_100g),
+    toNumber(nutriments.fat_100g),
+    toNumber(nutriments.fiber_100g)
+  ];
+}
+
+async function upsertProducts(rows) {
+  // A dump can list the same code twice; Postgres rejects duplicate keys within one upsert
+  const unique = [...new Map(rows.map(row => [row[0], row])).values()];
+  const placeholders = unique.map((_, i) =>
+    `(${PRODUCT_COLUMNS.map((__, j) => `$${i * PRODUCT_COLUMNS.length + j + 1}`).join(', ')})`
+  );
+
+  await pool.query(`
+    INSERT INTO food_products (${PRODUCT_COLUMNS.join(', ')})
+    VALUES ${placeholders.join(', ')}
+    ON CONFLICT (barcode) DO UPDATE SET
+      ${PRODUCT_COLUMNS.slice(1).map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+  `, unique.flat());
+}
+
+/**
+ * Import an Open Food Facts dump into food_products
+ * Accepts the JSONL export (openfoodfacts-products.jsonl[.gz]) or the
+ * tab-separated CSV export (en.openfoodfacts.org.products.csv[.gz]).
+ * Re-running updates existing rows.
+ * @param {string} filePath - Path to the dump
+ * @param {string|null} [country] - Only keep products sold here, e.g. "united-states"
+ * @returns {Promise<Object>} { read, imported }
+ */
+async function importProductsFile(filePath, country = null) {
+  await initTable();
+
+  let input = fs.createReadStream(filePath);
+  if (filePath.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  const isJson = /\.jsonl?(\.gz)?$/.test(filePath);
+  const countryFilter = country ? country.toLowerCase() : null;
+
+  const start = Date.now();
+  let header = null;
+  let batch = [];
+  let read = 0;
+  let imported = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await upsertProducts(batch);
+    imported += batch.length;
+    batch = [];
+  };
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+
+    let record;
+    if (isJson) {
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+    } else if (!header) {
+      header = line.split('\t');
+      continue;
+    } else {
+      const fields = line.split('\t');
+      record = Object.fromEntries(header.map((column, i) => [column, fields[i]]));
+    }
+
+    read++;
+    const row = toProductRow(record, countryFilter);
+    if (row) batch.push(row);
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      await flush();
+      if (imported % 50000 < IMPORT_BATCH_SIZE) console.log(`[PRODUCTS] ${imported} imported (${read} read)...`);
+    }
+  }
+  await flush();
+
+  console.log(`[PRODUCTS] Imported ${imported} of ${read} products in ${Math.round((Date.now() - start) / 1000)}s`);
+  return { read, imported };
+}
+
+/**
+ * Close the pool (for one-off scripts)
+ */
+async function closeProductsPool() {
+  await pool.end();
+}
+
+module.exports = {
+  initTable,
+  isValidBarcode,
+  lookupProduct,
+  getPendingServings,
+  parseServings,
+  logPendingServings,
+  formatServingsQuestion,
+  formatServingsLogged,
+  analyzeFoodPhoto,
+  importProductsFile,
+  closeProductsPool
+};
@@ -1,5 +1,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+const MACROS = ['protein', 'carbs', 'fat', 'fiber'];
+
 class GeminiCalorieAPI {
   constructor(apiKey) {
     this.genAI = new GoogleGenerativeAI(apiKey);
@@ -62,6 +64,59 @@ class GeminiCalorieAPI {
     }
   }
 
+  /**
+   * Revise a low-confidence estimate with the user's answer to its follow-up question
+   * @param {Object} previous - Result from estimateCalories() or estimateCaloriesFromImage()
+   * @param {string} question - The question the user was asked
+   * @param {string} answer - The user's reply
+   * @returns {Promise<Object>} Calorie estimation result for the same food
+   */
+  async refineEstimate(previous, question, answer) {
+    const prompt = this.buildRefinePrompt(previous, question, answer);
+
+    try {
+      const genStart = Date.now();
+      const result = await this.model.generateContent(prompt);
+      console.log(`[TIMING] gemini-generateContent-refine: ${Date.now() - genStart}ms`);
+      const response = result.response.text();
+      return this.parseResponse(response, previous.originalInput);
+    } catch (error) {
+      console.error('Gemini API Error:', error.message);
+      throw new Error('Unable to refine calorie estimate');
+    }
+  }
+
+  /**
+   * Classify a photo as a nutrition label, a barcode, or food, and extract
+   * what each needs in the same call: exact per-serving label values, the
+   * barcode digits, or a regular calorie estimate for food
+   * @param {Buffer} imageBuffer - Image data as a buffer
+   * @param {string} mimeType - MIME type of the image (e.g., 'image/jpeg')
+   * @param {string} [textDescription] - Optional text sent with the photo
+   * @returns {Promise<Object>} { kind: 'label'|'barcode'|'food'|'unknown', ... }
+   */
+  async analyzePhoto(imageBuffer, mimeType, textDescription = '') {
+    const prompt = this.buildPhotoPrompt(textDescription);
+
+    try {
+      const imagePart = {
+        inlineData: {
+          data: imageBuffer.toString('base64'),
+          mimeType: mimeType
+        }
+      };
+
+      const genStart = Date.now();
+      const result = await this.model.generateContent([prompt, imagePart]);
+      console.log(`[TIMING] gemini-generateContent-photo: ${Date.now() - genStart}ms`);
+      const response = result.response.text();
+      return this.parsePhotoResponse(response, textDescription || 'food image');
+    } catch (error) {
+      console.error('Gemini API Error:', error.message);
+      throw new Error('Unable to analyze photo');
+    }
+  }
+
   /**
    * Get food suggestions for a calorie target
    * @param {number} calories - Target calories
@@ -98,14 +153,40 @@ No introductions or explanations, just the list.`;
     return `${basePrompt}${contextLine}
 
 Respond in this EXACT JSON format (no markdown, no code blocks):
-{"items":[{"name":"item name","calories":123,"portion":"portion size"}],"totalCalories":456,"confidence":"high","notes":null}
+{"items":[{"name":"item name","calories":123,"portion":"portion size","protein":10,"carbs":15,"fat":4,"fiber":2}],"totalCalories":456,"confidence":"high","notes":null,"question":null}
 
 Rules:
 - Be concise, SMS has character limits
 - Identify all visible food items in the image
 - Estimate reasonable portion sizes based on visual cues
 - If image is unclear or not food, set confidence to "low" and explain in notes
+- If confidence is "low", set question to ONE short follow-up that would most change the estimate (portion size, how it was cooked, what's in it); otherwise null
 - Round calories to nearest 5
+- protein, carbs, fat and fiber are grams per item, rounded to the nearest gram
+- confidence must be "high", "medium", or "low"`;
+  }
+
+  buildPhotoPrompt(textDescription) {
+    const contextLine = textDescription
+      ? `\n\nThe user also sent this text: "${textDescription}"`
+      : '';
+
+    return `You are a nutrition expert. First decide what this photo shows:
+- "label": a Nutrition Facts panel or other printed nutrition table
+- "barcode": a product barcode (UPC/EAN) without a readable nutrition panel
+- "food": anything else (a meal, a plate, a snack)${contextLine}
+
+Respond in this EXACT JSON format (no markdown, no code blocks), using the shape for the kind you chose:
+label: {"kind":"label","productName":"name or null","servingSize":"1 bar (68g)","perServing":{"calories":250,"protein":10,"carbs":44,"fat":5,"fiber":4}}
+barcode: {"kind":"barcode","barcode":"012345678905","productName":"name or null"}
+food: {"items":[{"name":"item name","calories":123,"portion":"portion size","protein":10,"carbs":15,"fat":4,"fiber":2}],"kind":"food","totalCalories":456,"confidence":"high","notes":null,"question":null}
+
+Rules:
+- For labels, copy the per-serving values exactly as printed; never estimate. Grams for macros; fiber is "Dietary Fiber" (0 if not listed)
+- For barcodes, copy every digit printed under the bars, in order, with no spaces
+- If both a label and a barcode are visible, choose "label"
+- For food, estimate reasonable portions from visual cues, round calories to nearest 5, give macros in grams per item
+- If confidence is "low", set question to ONE short follow-up that would most change the estimate (portion size, how it was cooked, what's in it); otherwise null
 - confidence must be "high", "medium", or "low"`;
   }
 
@@ -115,16 +196,40 @@ Rules:
 "${foodDescription}"
 
 Respond in this EXACT JSON format (no markdown, no code blocks):
-{"items":[{"name":"item name","calories":123,"portion":"portion size"}],"totalCalories":456,"confidence":"high","notes":null}
+{"items":[{"name":"item name","calories":123,"portion":"portion size","protein":10,"carbs":15,"fat":4,"fiber":2}],"totalCalories":456,"confidence":"high","notes":null,"question":null}
 
 Rules:
 - Be concise, SMS has character limits
 - Use reasonable portion sizes if not specified
-- If food is unclear, set confidence to "low" and ask for clarification in notes
+- If food is unclear, set confidence to "low"
+- If confidence is "low", set question to ONE short follow-up that would most change the estimate (portion size, how it was cooked, what's in it); otherwise null
 - Round calories to nearest 5
+- protein, carbs, fat and fiber are grams per item, rounded to the nearest gram
 - confidence must be "high", "medium", or "low"`;
   }
 
+  buildRefinePrompt(previous, question, answer) {
+    const items = previous.items
+      .map(item => `- ${item.name} (${item.portion}): ${item.calories} cal`)
+      .join('\n');
+
+    return `You are a nutrition expert. You gave this uncertain calorie estimate for "${previous.originalInput}":
+${items}
+Total: ${previous.totalCalories} cal
+
+You asked: "${question}"
+The user answered: "${answer}"
+
+Revise the estimate using the answer. Respond in this EXACT JSON format (no markdown, no code blocks):
+{"items":[{"name":"item name","calories":123,"portion":"portion size","protein":10,"carbs":15,"fat":4,"fiber":2}],"totalCalories":456,"confidence":"high","notes":null,"question":null}
+
+Rules:
+- Keep the same foods unless the answer adds or removes some
+- Round calories to nearest 5
+- protein, carbs, fat and fiber are grams per item, rounded to the nearest gram
+- confidence must be "high", "medium", or "low"; question must be null`;
+  }
+
   /**
    * Parse Gemini response into structured format
    */
@@ -134,12 +239,15 @@ Rules:
       const cleaned = responseText.replace(/```json\n?|\n?```/g, '').trim();
       const parsed = JSON.parse(cleaned);
 
+      const items = parsed.items || [];
       return {
         success: true,
-        items: parsed.items || [],
+        items,
         totalCalories: parsed.totalCalories,
+        macros: this.sumMacros(items),
         confidence: parsed.confidence || 'medium',
         notes: parsed.notes || null,
+        question: parsed.question || null,
         originalInput
       };
     } catch (error) {
@@ -153,6 +261,66 @@ Rules:
     }
   }
 
+  /**
+   * Parse a photo classification response
+   * @returns {Object} A label, barcode, or food result, or { kind: 'unknown' }
+   */
+  parsePhotoResponse(responseText, originalInput) {
+    let parsed;
+    try {
+      parsed = JSON.parse(responseText.replace(/```json\n?|\n?```/g, '').trim());
+    } catch (error) {
+      console.error('Failed to parse Gemini photo response:', responseText);
+      return { kind: 'unknown', productName: null };
+    }
+
+    if (parsed.kind === 'label' && typeof parsed.perServing?.calories === 'number') {
+      const perServing = { calories: Math.round(parsed.perServing.calories) };
+      for (const macro of MACROS) {
+        perServing[macro] = Math.round(Number(parsed.perServing[macro]) || 0);
+      }
+      return {
+        kind: 'label',
+        productName: parsed.productName || null,
+        servingSize: parsed.servingSize || '1 serving',
+        perServing
+      };
+    }
+
+    const digits = String(parsed.barcode || '').replace(/\D/g, '');
+    if (parsed.kind === 'barcode' && digits.length >= 8) {
+      return { kind: 'barcode', barcode: digits, productName: parsed.productName || null };
+    }
+
+    if (Array.isArray(parsed.items)) {
+      return { kind: 'food', ...this.parseResponse(JSON.stringify(parsed), originalInput) };
+    }
+
+    // An unreadable label or barcode; callers fall back to a plain estimate
+    return { kind: 'unknown', productName: parsed.productName || null };
+  }
+
+  /**
+   * Total grams of each macro across items
+   * @returns {Object|null} { protein, carbs, fat, fiber }, or null if no item has macros
+   */
+  sumMacros(items) {
+    if (!items.some(item => MACROS.some(macro => typeof item[macro] === 'number'))) return null;
+
+    const totals = {};
+    for (const macro of MACROS) {
+      totals[macro] = Math.round(items.reduce((sum, item) => sum + (Number(item[macro]) || 0), 0));
+    }
+    return totals;
+  }
+
+  /**
+   * Compact macro line, e.g. "P 32g | C 40g | F 12g | Fiber 5g"
+   */
+  formatMacros(macros) {
+    return `P ${macros.protein}g | C ${macros.carbs}g | F ${macros.fat}g | Fiber ${macros.fiber}g`;
+  }
+
   /**
    * Format calorie estimate as SMS-friendly text
    */
@@ -174,6 +342,10 @@ Rules:
       message += `\nTotal: ~${result.totalCalories} cal`;
     }
 
+    if (result.macros) {
+      message += `\n${this.formatMacros(result.macros)}`;
+    }
+
     // Add confidence indicator for low confidence
     if (result.confidence === 'low') {
       message += '\n\n(Estimate uncertain - try being more specific)';
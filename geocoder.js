@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+// NYC GeoSearch (Pelias) by default. Point GEOCODER_URL at a local stub
+// that returns the same GeoJSON shape to develop without network access.
+const DEFAULT_GEOCODER_URL = 'https://geosearch.planninglabs.nyc/v2/search';
+
+class Geocoder {
+  constructor(baseUrl = process.env.GEOCODER_URL || DEFAULT_GEOCODER_URL) {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Geocode a free-text NYC location (intersection, address, or landmark)
+   * @param {string} query - e.g., "Flatbush Ave & 7th Ave" or "Atlantic Terminal"
+   * @returns {Promise<Object>} { found, lat, lon, label }
+   */
+  async geocode(query) {
+    try {
+      const axiosStart = Date.now();
+      const response = await axios.get(this.baseUrl, {
+        params: { text: query, size: 1 }
+      });
+      console.log(`[TIMING] geocoder-axios-get: ${Date.now() - axiosStart}ms`);
+
+      return this.parseResponse(response.data);
+    } catch (error) {
+      console.error('Geocoder Error:', error.message);
+      throw new Error('Unable to look up that location');
+    }
+  }
+
+  /**
+   * Parse a GeoJSON FeatureCollection into the first matching point
+   */
+  parseResponse(data) {
+    const feature = data?.features?.[0];
+    const coords = feature?.geometry?.coordinates;
+
+    if (!coords || coords.length < 2) {
+      return { found: false };
+    }
+
+    return {
+      found: true,
+      lon: coords[0],
+      lat: coords[1],
+      label: feature.properties?.label || feature.properties?.name || null
+    };
+  }
+}
+
+module.exports = Geocoder;
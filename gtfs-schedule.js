@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Pool } = require('pg');
+
+const TIMEZONE = 'America/New_York';
+const LOOKAHEAD_MINUTES = 90;
+const IMPORT_BATCH_SIZE = 1000;
+const WEEKDAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the static GTFS tables if they don't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await Promise.all([
+    pool.query(`
+      CREATE TABLE IF NOT EXISTS gtfs_stops (
+        stop_id TEXT PRIMARY KEY,
+        stop_name TEXT NOT NULL
+      )
+    `),
+    pool.query(`
+      CREATE TABLE IF NOT EXISTS gtfs_trips (
+        trip_id TEXT PRIMARY KEY,
+        route_id TEXT NOT NULL,
+        service_id TEXT NOT NULL,
+        trip_headsign TEXT
+      )
+    `),
+    pool.query(`
+      CREATE TABLE IF NOT EXISTS gtfs_calendar (
+        service_id TEXT PRIMARY KEY,
+        sunday SMALLINT NOT NULL,
+        monday SMALLINT NOT NULL,
+        tuesday SMALLINT NOT NULL,
+        wednesday SMALLINT NOT NULL,
+        thursday SMALLINT NOT NULL,
+        friday SMALLINT NOT NULL,
+        saturday SMALLINT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL
+      )
+    `),
+    pool.query(`
+      CREATE TABLE IF NOT EXISTS gtfs_calendar_dates (
+        service_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        exception_type SMALLINT NOT NULL,
+        PRIMARY KEY (service_id, date)
+      )
+    `),
+    pool.query(`
+      CREATE TABLE IF NOT EXISTS gtfs_stop_times (
+        trip_id TEXT NOT NULL,
+        stop_id TEXT NOT NULL,
+        departure_secs INTEGER NOT NULL,
+        stop_sequence INTEGER NOT NULL,
+        PRIMARY KEY (trip_id, stop_sequence)
+      )
+    `)
+  ]);
+  await pool.query('CREATE INDEX IF NOT EXISTS gtfs_stop_times_stop_idx ON gtfs_stop_times (stop_id, departure_secs)');
+  console.log(`[TIMING] gtfs-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Get the service date (YYYYMMDD), weekday, and seconds since midnight in Eastern Time
+ * @param {Date} date
+ */
+function serviceClock(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', weekday: 'long', hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  return {
+    dateKey: `${parts.year}${parts.month}${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    seconds: parseInt(parts.hour, 10) * 3600 + parseInt(parts.minute, 10) * 60 + parseInt(parts.second, 10)
+  };
+}
+
+/**
+ * Service ids running on a date, per calendar.txt and calendar_dates.txt
+ */
+async function activeServiceIds(dateKey, weekday) {
+  const column = WEEKDAY_COLUMNS.includes(weekday) ? weekday : 'monday';
+  const { rows } = await pool.query(`
+    SELECT service_id FROM gtfs_calendar
+    WHERE start_date <= $1 AND end_date >= $1 AND ${column} = 1
+      AND service_id NOT IN (
+        SELECT service_id FROM gtfs_calendar_dates WHERE date = $1 AND exception_type = 2
+      )
+    UNION
+    SELECT service_id FROM gtfs_calendar_dates WHERE date = $1 AND exception_type = 1
+  `, [dateKey]);
+  return rows.map(r => r.service_id);
+}
+
+/**
+ * Get scheduled departures from the static GTFS, in the same shape as
+ * MTABusAPI.parseResponse() so it can be formatted the same way.
+ * Checks yesterday's service too, since GTFS times run past 24:00:00.
+ * @param {string} stopCode - 6-digit MTA stop code (GTFS stop_id)
+ * @param {string|null} routeFilter - Optional route filter (e.g., 'B63')
+ * @param {number} limit - Max departures to return
+ * @returns {Promise<Object>} { found, scheduled: true, stopName, arrivals }
+ */
+async function getScheduledDepartures(stopCode, routeFilter = null, limit = 5) {
+  await initTable();
+
+  const now = new Date();
+  const today = serviceClock(now);
+  const yesterday = serviceClock(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  const windowSecs = LOOKAHEAD_MINUTES * 60;
+
+  const queryStart = Date.now();
+  const [todayServices, yesterdayServices, stopRows] = await Promise.all([
+    activeServiceIds(today.dateKey, today.weekday),
+    activeServiceIds(yesterday.dateKey, yesterday.weekday),
+    pool.query('SELECT stop_name FROM gtfs_stops WHERE stop_id = $1', [stopCode])
+  ]);
+
+  // offset = seconds to add to a stop_time to get seconds relative to today's midnight
+  const searches = [
+    { services: todayServices, offset: 0 },
+    { services: yesterdayServices, offset: -24 * 3600 }
+  ].filter(s => s.services.length > 0);
+
+  const results = await Promise.all(searches.map(({ services, offset }) => pool.query(`
+    SELECT st.departure_secs, t.route_id, t.trip_headsign
+    FROM gtfs_stop_times st
+    JOIN gtfs_trips t ON t.trip_id = st.trip_id
+    WHERE st.stop_id = $1
+      AND st.departure_secs BETWEEN $2 AND $3
+      AND t.service_id = ANY($4)
+      AND ($5::TEXT IS NULL OR UPPER(t.route_id) = $5)
+    ORDER BY st.departure_secs
+    LIMIT $6
+  `, [
+    stopCode,
+    today.seconds - offset,
+    today.seconds - offset + windowSecs,
+    services,
+    routeFilter ? routeFilter.toUpperCase() : null,
+    limit
+  ]).then(({ rows }) => rows.map(r => ({ ...r, secsFromNow: r.departure_secs + offset - today.seconds })))));
+  console.log(`[TIMING] gtfs-db-getScheduled: ${Date.now() - queryStart}ms`);
+
+  const arrivals = results.flat()
+    .sort((a, b) => a.secsFromNow - b.secsFromNow)
+    .slice(0, limit)
+    .map(r => ({
+      route: r.route_id,
+      destination: r.trip_headsign || 'Unknown',
+      stopsAway: null,
+      distanceMeters: null,
+      expectedArrival: new Date(now.getTime() + r.secsFromNow * 1000).toISOString(),
+      hasRealtimeData: false,
+      scheduled: true
+    }));
+
+  return {
+    found: arrivals.length > 0,
+    scheduled: true,
+    stopName: stopRows.rows[0]?.stop_name || `Stop ${stopCode}`,
+    arrivals
+  };
+}
+
+/**
+ * Get live arrivals, falling back to the static schedule when BusTime has
+ * no monitored visits for the stop or the request fails.
+ * @param {MTABusAPI} mtaAPI - BusTime client
+ * @param {string} stopCode - 6-digit MTA stop code
+ * @param {string|null} routeFilter - Optional route filter
+ * @param {Object} [options] - { maxVisits, destination }; maxVisits is also the schedule limit
+ * @returns {Promise<Object>} Parsed arrivals (realtime or { scheduled: true })
+ */
+async function getArrivalsWithScheduleFallback(mtaAPI, stopCode, routeFilter = null, options = {}) {
+  let realtimeData = null;
+  let realtimeError = null;
+  try {
+    realtimeData = await mtaAPI.getStopArrivals(stopCode, routeFilter, options);
+    if (realtimeData.found) return realtimeData;
+  } catch (error) {
+    realtimeError = error;
+  }
+
+  // Live buses exist, just none toward the destination; the timetable won't help
+  if (realtimeData?.unfilteredCount > 0) return realtimeData;
+
+  try {
+    let scheduled = await getScheduledDepartures(stopCode, routeFilter, options.maxVisits || undefined);
+    if (options.destination) {
+      scheduled = await mtaAPI.filterByDestination(scheduled, stopCode, options.destination);
+    }
+    if (scheduled.found) return scheduled;
+  } catch (error) {
+    console.error('[GTFS] Schedule fallback failed:', error.message);
+  }
+
+  if (realtimeError) throw realtimeError;
+  return realtimeData || { found: false, arrivals: [] };
+}
+
+/**
+ * Look up several stop/route pairs in parallel (each with the schedule
+ * fallback) and merge them into one list sorted by ETA.
+ * @param {MTABusAPI} mtaAPI - BusTime client
+ * @param {Array} queries - [{ stopCode, route }]
+ * @param {Object} [options] - { maxVisits }, passed to each lookup
+ * @returns {Promise<Object>} Merged arrivals ({ multiStop: true })
+ */
+async function getMultiStopArrivals(mtaAPI, queries, options = {}) {
+  const results = await Promise.allSettled(
+    queries.map(q => getArrivalsWithScheduleFallback(mtaAPI, q.stopCode, q.route, options))
+  );
+  return mtaAPI.mergeArrivals(queries, results);
+}
+
+/**
+ * Split one CSV line, honoring quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else current += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * "25:10:00" -> 90600
+ */
+function timeToSeconds(time) {
+  const [h, m, s] = time.trim().split(':').map(n => parseInt(n, 10));
+  return h * 3600 + m * 60 + (s || 0);
+}
+
+/**
+ * Stream a GTFS file into a table in batches
+ * @param {string} filePath - Path to the .txt file
+ * @param {string} table - Destination table
+ * @param {string[]} columns - Destination columns
+ * @param {Function} mapRow - (record) => array of values, or null to skip
+ * @returns {Promise<number>} Rows imported
+ */
+async function importFile(filePath, table, columns, mapRow) {
+  if (!fs.existsSync(filePath)) {
+    console.log(`[GTFS] Skipping missing ${filePath}`);
+    return 0;
+  }
+
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let header = null;
+  let batch = [];
+  let total = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const placeholders = batch.map((_, i) =>
+      `(${columns.map((__, j) => `$${i * columns.length + j + 1}`).join(', ')})`
+    );
+    await pool.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')} ON CONFLICT DO NOTHING`,
+      batch.flat()
+    );
+    total += batch.length;
+    batch = [];
+  };
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const fields = parseCsvLine(line.replace(/^\uFEFF/, ''));
+    if (!header) {
+      header = fields.map(f => f.trim());
+      continue;
+    }
+    const record = Object.fromEntries(header.map((h, i) => [h, fields[i]]));
+    const values = mapRow(record);
+    if (values) batch.push(values);
+    if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`[GTFS] ${table}: ${total} rows from ${path.basename(filePath)}`);
+  return total;
+}
+
+/**
+ * Import an unzipped MTA bus GTFS directory (e.g., google_transit_brooklyn)
+ * Existing rows are kept, so several borough feeds can be loaded in turn.
+ * @param {string} dir - Directory containing stops.txt, trips.txt, calendar.txt, etc.
+ */
+async function importGtfsDirectory(dir) {
+  await initTable();
+  const start = Date.now();
+
+  await importFile(path.join(dir, 'stops.txt'), 'gtfs_stops', ['stop_id', 'stop_name'],
+    r => [r.stop_id, r.stop_name]);
+  await importFile(path.join(dir, 'trips.txt'), 'gtfs_trips', ['trip_id', 'route_id', 'service_id', 'trip_headsign'],
+    r => [r.trip_id, r.route_id, r.service_id, r.trip_headsign || null]);
+  await importFile(path.join(dir, 'calendar.txt'), 'gtfs_calendar', ['service_id', ...WEEKDAY_COLUMNS, 'start_date', 'end_date'],
+    r => [r.service_id, ...WEEKDAY_COLUMNS.map(d => parseInt(r[d], 10)), r.start_date, r.end_date]);
+  await importFile(path.join(dir, 'calendar_dates.txt'), 'gtfs_calendar_dates', ['service_id', 'date', 'exception_type'],
+    r => [r.service_id, r.date, parseInt(r.exception_type, 10)]);
+  await importFile(path.join(dir, 'stop_times.txt'), 'gtfs_stop_times', ['trip_id', 'stop_id', 'departure_secs', 'stop_sequence'],
+    r => {
+      const time = r.departure_time || r.arrival_time;
+      return time ? [r.trip_id, r.stop_id, timeToSeconds(time), parseInt(r.stop_sequence, 10)] : null;
+    });
+
+  console.log(`[GTFS] Imported ${dir} in ${Math.round((Date.now() - start) / 1000)}s`);
+}
+
+/**
+ * Remove all imported GTFS data (before loading a new schedule pick)
+ */
+async function clearGtfs() {
+  await initTable();
+  await pool.query('TRUNCATE gtfs_stops, gtfs_trips, gtfs_calendar, gtfs_calendar_dates, gtfs_stop_times');
+}
+
+/**
+ * Close the pool (for one-off scripts)
+ */
+async function closeGtfsPool() {
+  await pool.end();
+}
+
+module.exports = {
+  getScheduledDepartures,
+  getArrivalsWithScheduleFallback,
+  getMultiStopArrivals,
+  importGtfsDirectory,
+  clearGtfs,
+  closeGtfsPool
+};
@@ -0,0 +1,183 @@
+const { MTABusAPI } = require('./mta-api');
+const { getArrivalsWithScheduleFallback } = require('./gtfs-schedule');
+const { getFavorite, findFavoriteByStop } = require('./bus-favorites');
+
+const TIMEZONE = 'America/New_York';
+
+// Aim to reach the stop a minute before the bus
+const BUFFER_MINUTES = 1;
+
+// Predictions drift; re-check this many times before sending "leave now" anyway
+const MAX_REPLANS = 3;
+
+// Pending "leave now" reminders by phone number: { timer, stopCode, route }
+const reminders = new Map();
+
+function formatClock(date) {
+  return new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIMEZONE });
+}
+
+/**
+ * Work out which bus is catchable given a walking time, and when to leave
+ * @param {Object} arrivalData - From getStopArrivals() or the schedule fallback
+ * @param {number} walkMinutes - Minutes from the door to the stop
+ * @param {number} now - Reference time in ms (defaults to Date.now())
+ * @returns {Object} { found, stopName, walkMinutes, bus, next, leaveAt, leaveInMinutes }
+ */
+function planDeparture(arrivalData, walkMinutes, now = Date.now()) {
+  const catchable = (arrivalData.arrivals || [])
+    .filter(a => a.expectedArrival)
+    .map(a => ({ ...a, minutesAway: (new Date(a.expectedArrival).getTime() - now) / 60000 }))
+    .filter(a => a.minutesAway >= walkMinutes + BUFFER_MINUTES)
+    .sort((a, b) => a.minutesAway - b.minutesAway);
+
+  if (catchable.length === 0) {
+    return { found: false, stopName: arrivalData.stopName, walkMinutes };
+  }
+
+  const bus = catchable[0];
+  const leaveAt = new Date(bus.expectedArrival).getTime() - (walkMinutes + BUFFER_MINUTES) * 60000;
+
+  return {
+    found: true,
+    stopName: arrivalData.stopName,
+    walkMinutes,
+    bus,
+    next: catchable[1] || null,
+    leaveAt: new Date(leaveAt).toISOString(),
+    leaveInMinutes: Math.max(0, Math.floor((leaveAt - now) / 60000))
+  };
+}
+
+/**
+ * Format a departure plan for SMS
+ */
+function formatDeparturePlan(plan) {
+  if (!plan.found) {
+    return `No bus you can still catch at ${plan.stopName || 'that stop'} with a ${plan.walkMinutes} min walk. Text the stop code to see what's coming.`;
+  }
+
+  const leaveText = plan.leaveInMinutes === 0 ? 'Leave now' : `Leave in ${plan.leaveInMinutes} min (${formatClock(plan.leaveAt)})`;
+  const busText = `the ${plan.bus.route} to ${plan.bus.destination}${plan.bus.scheduled ? ' (scheduled)' : ''}`;
+  let message = `${leaveText} to catch ${busText} at ${plan.stopName}, due in ${Math.round(plan.bus.minutesAway)} min. Walk: ${plan.walkMinutes} min.`;
+
+  if (plan.next) {
+    message += `\n\nMiss it? The next ${plan.next.route} is due in ${Math.round(plan.next.minutesAway)} min.`;
+  }
+  return message;
+}
+
+/**
+ * Format the reminder sent when the planned bus is gone by the time it fires
+ */
+function formatMissedBus(plan) {
+  return `The ${plan.bus.route} you were aiming for is gone, and there's no other bus you can catch at ${plan.stopName} with a ${plan.walkMinutes} min walk. Text the stop code to see what's coming.`;
+}
+
+/**
+ * Cancel a pending "leave now" reminder
+ * @param {string} phone - User's phone number
+ * @returns {boolean} Whether a reminder was cancelled
+ */
+function cancelLeaveReminder(phone) {
+  const reminder = reminders.get(phone);
+  if (!reminder) return false;
+  clearTimeout(reminder.timer);
+  reminders.delete(phone);
+  return true;
+}
+
+/**
+ * Text the user when it's time to leave. Re-checks arrivals when the timer
+ * fires and pushes the reminder back if the bus is running late.
+ * Reminders live in memory, so a restart drops them.
+ */
+function scheduleLeaveReminder(phone, twilioNumber, stopCode, route, plan, sendSMS, replans = 0) {
+  cancelLeaveReminder(phone);
+
+  const timer = setTimeout(async () => {
+    reminders.delete(phone);
+    try {
+      const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+      const arrivalData = await getArrivalsWithScheduleFallback(mtaAPI, stopCode, route);
+      const fresh = planDeparture(arrivalData, plan.walkMinutes);
+
+      if (fresh.found && fresh.leaveInMinutes > 0 && replans < MAX_REPLANS) {
+        scheduleLeaveReminder(phone, twilioNumber, stopCode, route, fresh, sendSMS, replans + 1);
+        return;
+      }
+      await sendSMS(phone, twilioNumber, fresh.found ? formatDeparturePlan(fresh) : formatMissedBus(plan));
+    } catch (error) {
+      console.error(`[LEAVE] Reminder for ${phone} failed:`, error.message);
+    }
+  }, Math.max(0, new Date(plan.leaveAt).getTime() - Date.now()));
+
+  reminders.set(phone, { timer, stopCode, route });
+}
+
+/**
+ * Answer "when should I leave for <stop or favorite>"
+ * The walking time comes from the request, the named favorite, or a
+ * favorite saved for the same stop code (looked up only when the request
+ * has no walk time, so a stop code plus walk time needs no database).
+ * @param {Object} request
+ * @param {string} request.phone - User's phone number
+ * @param {string} request.twilioNumber - Twilio number to send reminders from
+ * @param {string} [request.stopCode] - 6-digit MTA stop code
+ * @param {string} [request.route] - Optional route filter
+ * @param {string} [request.nickname] - Favorite nickname, instead of stopCode
+ * @param {number} [request.walkMinutes] - Walking time, overriding any saved one
+ * @param {boolean} [request.remind] - Also text "leave now" when it's time
+ * @param {Function} [request.sendSMS] - async function(to, from, body), required for remind
+ * @returns {Promise<string>} SMS reply
+ */
+async function adviseDeparture({ phone, twilioNumber, stopCode, route = null, nickname = null, walkMinutes = null, remind = false, sendSMS = null }) {
+  if (!nickname && !stopCode) {
+    return 'Which stop? Text "leave for home" for a saved stop or "leave for 308209 walk 6".';
+  }
+
+  let favorite = null;
+  if (nickname) {
+    favorite = await getFavorite(phone, nickname);
+  } else if (walkMinutes == null) {
+    // Only needed for its walk time; if the lookup fails, the reply asks for one
+    favorite = await findFavoriteByStop(phone, stopCode).catch(error => {
+      console.error('[LEAVE] Favorite lookup failed:', error.message);
+      return null;
+    });
+  }
+
+  if (nickname && !favorite) {
+    return `No saved stop named "${nickname}". Text "save ${nickname} 308209 B63" to add it.`;
+  }
+
+  const stop = favorite && nickname ? favorite.stopCode : stopCode;
+  const routeFilter = route || (favorite ? favorite.route : null);
+  const walk = walkMinutes ?? favorite?.walkMinutes;
+
+  if (walk == null) {
+    const name = favorite?.nickname || nickname;
+    return name
+      ? `How long is your walk to "${name}"? Text "walk ${name} 6" to save it.`
+      : `How long is your walk to ${stop}? Save it as a favorite ("save home ${stop}", then "walk home 6") or ask "leave for ${stop} walk 6".`;
+  }
+
+  const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+  const arrivalData = await getArrivalsWithScheduleFallback(mtaAPI, stop, routeFilter);
+  const plan = planDeparture(arrivalData, walk);
+  let message = formatDeparturePlan(plan);
+
+  if (remind && plan.found && plan.leaveInMinutes > 0 && sendSMS) {
+    scheduleLeaveReminder(phone, twilioNumber, stop, routeFilter, plan, sendSMS);
+    message += `\n\nI'll text you at ${formatClock(plan.leaveAt)}. Text "leave off" to cancel.`;
+  }
+
+  return message;
+}
+
+module.exports = {
+  planDeparture,
+  formatDeparturePlan,
+  adviseDeparture,
+  cancelLeaveReminder
+};
@@ -0,0 +1,97 @@
+const TIMEZONE = 'America/New_York';
+
+// Backdating further than this is almost certainly a misread date
+const MAX_DAYS_BACK = 60;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Get today's date key (YYYY-MM-DD) in Eastern Time
+ */
+function getTodayKey() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+}
+
+/**
+ * Shift a YYYY-MM-DD key by a number of days
+ */
+function shiftDateKey(key, days) {
+  const date = new Date(`${key}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Date key (YYYY-MM-DD) for a DATE column; node-postgres returns local-midnight Dates
+ */
+function toDateKey(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Resolve the day a food or workout should be logged to
+ * Accepts YYYY-MM-DD, M/D, "today", "yesterday", "last night", or a weekday
+ * ("monday", "last monday"), which means the most recent one before today.
+ * @param {string|null} text - Date from the agent or the message; empty means today
+ * @returns {Object} { date } as YYYY-MM-DD, or { error } if it can't be used
+ */
+function resolveLogDate(text) {
+  const today = getTodayKey();
+  const value = String(text || '').trim().toLowerCase().replace(/'s$/, '');
+  if (!value || value === 'today' || value === 'tonight') return { date: today };
+
+  let date = null;
+  if (value === 'yesterday' || value === 'last night') {
+    date = shiftDateKey(today, -1);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date = value;
+  } else if (/^\d{1,2}\/\d{1,2}$/.test(value)) {
+    // M/D without a year is the most recent such day
+    const [month, day] = value.split('/').map(Number);
+    const year = parseInt(today.slice(0, 4), 10);
+    date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (date > today) date = `${year - 1}${date.slice(4)}`;
+  } else {
+    const weekday = WEEKDAYS.indexOf(value.replace(/^(?:last|on)\s+/, ''));
+    if (weekday >= 0) {
+      const todayWeekday = new Date(`${today}T12:00:00Z`).getUTCDay();
+      date = shiftDateKey(today, -(((todayWeekday - weekday + 6) % 7) + 1));
+    }
+  }
+
+  // Reject impossible dates like 2/30 that Date would roll over
+  if (!date || new Date(`${date}T12:00:00Z`).toISOString().slice(0, 10) !== date) {
+    return { error: `Couldn't understand the date "${text}". Use a day like "yesterday", "monday", or 10/14.` };
+  }
+  if (date > today) {
+    return { error: "Can't log to a future date." };
+  }
+  if (date < shiftDateKey(today, -MAX_DAYS_BACK)) {
+    return { error: `Can only log up to ${MAX_DAYS_BACK} days back.` };
+  }
+  return { date };
+}
+
+/**
+ * Name a logged day for replies: "today", "yesterday", or "Mon, Oct 12"
+ * @param {string} key - YYYY-MM-DD
+ */
+function describeLogDate(key) {
+  const today = getTodayKey();
+  if (key === today) return 'today';
+  if (key === shiftDateKey(today, -1)) return 'yesterday';
+  return new Date(`${key}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+module.exports = {
+  getTodayKey,
+  shiftDateKey,
+  toDateKey,
+  resolveLogDate,
+  describeLogDate
+};
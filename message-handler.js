@@ -1,3 +1,6 @@
+// A serving count above this is more likely a typo than a meal
+const MAX_SERVINGS = 20;
+
 /**
  * Parse incoming SMS message and route to appropriate handler
  * All command routing is centralized here.
@@ -8,9 +11,10 @@ class MessageParser {
    * @param {string} messageBody - The SMS message text
    * @param {boolean} hasMedia - Whether the message has media attached
    * @param {string} mediaType - MIME type of attached media (if any)
+   * @param {Object|null} location - Shared location pin { lat, lon }, if any
    * @returns {Object} Parsed command with type and relevant data
    */
-  parse(messageBody, hasMedia = false, mediaType = null) {
+  parse(messageBody, hasMedia = false, mediaType = null, location = null) {
     const trimmed = messageBody.trim();
     const lower = trimmed.toLowerCase();
 
@@ -19,6 +23,11 @@ class MessageParser {
       return { type: 'help' };
     }
 
+    // Shared location pin or maps link: nearest bus stops
+    if (location) {
+      return { type: 'location_query', lat: location.lat, lon: location.lon };
+    }
+
     // Uber commands (check specific commands before general pattern)
     // "uber confirm" or "uber confirm 2" or "uber confirm comfort"
     const confirmMatch = lower.match(/^uber\s+confirm(?:\s+(\S+))?$/);
@@ -67,12 +76,77 @@ class MessageParser {
       return { type: 'subtract', amount: parseInt(subMatch[1], 10) };
     }
 
+    // Nutrition reports: "week" / "month"
+    if (['week', 'weekly', 'week report', 'weekly report'].includes(lower)) {
+      return { type: 'nutrition_report', days: 7 };
+    }
+    if (['month', 'monthly', 'month report', 'monthly report'].includes(lower)) {
+      return { type: 'nutrition_report', days: 30 };
+    }
+
+    // Food log: "list today", "undo", "edit entry 3 to 400"
+    if (lower === 'list today' || lower === 'log today' || lower === 'food log') {
+      return { type: 'list_food' };
+    }
+    if (lower === 'undo') {
+      return { type: 'undo_food' };
+    }
+    const editMatch = lower.match(/^edit\s+(?:entry\s+)?#?(\d+)\s+(?:to\s+)?(\d+)(?:\s*cal(?:ories)?)?$/);
+    if (editMatch) {
+      return {
+        type: 'edit_food',
+        entry: parseInt(editMatch[1], 10),
+        calories: parseInt(editMatch[2], 10)
+      };
+    }
+
+    // Macro target (e.g., "target protein 150", "protein target 150", "target fiber off")
+    const macroTargetMatch = lower.match(/^(?:target\s+(protein|carbs|fat|fiber)|(protein|carbs|fat|fiber)\s+target)\s+(\d+|off)(?:\s*g)?$/);
+    if (macroTargetMatch) {
+      return {
+        type: 'set_macro_target',
+        macro: macroTargetMatch[1] || macroTargetMatch[2],
+        amount: macroTargetMatch[3] === 'off' ? null : parseInt(macroTargetMatch[3], 10)
+      };
+    }
+
     // Set target (e.g., "target 2000")
     const targetMatch = lower.match(/^target\s+(\d+)$/);
     if (targetMatch) {
       return { type: 'set_target', amount: parseInt(targetMatch[1], 10) };
     }
 
+    // Weigh-in (e.g., "weight 182.4", "weighed 182 lbs")
+    const weightMatch = lower.match(/^(?:weight|weigh|weighed|weigh-in|weigh in)\s+(\d{2,3}(?:\.\d+)?)\s*(?:lbs?|pounds)?$/);
+    if (weightMatch) {
+      return { type: 'log_weight', weight: parseFloat(weightMatch[1]) };
+    }
+
+    if (['weight', 'weight trend', 'weigh-ins', 'weigh ins'].includes(lower)) {
+      return { type: 'weight_status' };
+    }
+
+    // Weight goal (e.g., "goal lose 1 lb/week", "goal gain 0.5", "goal maintain")
+    const goalMatch = lower.match(/^goal\s+(?:(lose|gain)\s+(\d+(?:\.\d+)?)\s*(?:lbs?|pounds?)?(?:\s*(?:\/|a|per)\s*(?:week|wk))?|(maintain|maintenance))$/);
+    if (goalMatch) {
+      const amount = goalMatch[3] ? 0 : parseFloat(goalMatch[2]);
+      return { type: 'set_weight_goal', lbsPerWeek: goalMatch[1] === 'lose' ? -amount : amount };
+    }
+
+    // Adaptive target from intake vs weight trend
+    if (['tdee', 'adjust target', 'suggest target'].includes(lower)) {
+      return { type: 'target_proposal' };
+    }
+
+    if (lower === 'confirm target') {
+      return { type: 'confirm_target' };
+    }
+
+    // CSV download links for the food log and workouts
+    if (['export', 'export data', 'export csv', 'csv'].includes(lower)) {
+      return { type: 'export_data' };
+    }
+
     // Suggestions (e.g., "suggest 250" or "suggest 250 sweet")
     const suggestMatch = trimmed.match(/^suggest\s+(\d+)(?:\s+(.+))?$/i);
     if (suggestMatch) {
@@ -93,23 +167,225 @@ class MessageParser {
       return { type: 'refresh' };
     }
 
+    // Saved meals: "save meal usual breakfast = 2 eggs, toast, coffee 320"
+    // Without a calorie count the meal is estimated once when saved
+    const mealSaveMatch = trimmed.match(/^save\s+meal\s+(.+?)\s*[=:]\s*(.+?)(?:\s+(\d{2,4})\s*(?:cal|cals|calories)?)?$/i);
+    if (mealSaveMatch) {
+      return {
+        type: 'meal_save',
+        name: mealSaveMatch[1].trim(),
+        description: mealSaveMatch[2].trim(),
+        calories: mealSaveMatch[3] ? parseInt(mealSaveMatch[3], 10) : null
+      };
+    }
+    if (lower === 'meals' || lower === 'saved meals' || lower === 'list meals') {
+      return { type: 'meal_list' };
+    }
+    const mealDeleteMatch = lower.match(/^(?:delete|forget|remove)\s+meal\s+(.+)$/);
+    if (mealDeleteMatch) {
+      return { type: 'meal_delete', name: mealDeleteMatch[1].trim() };
+    }
+
+    // Favorite stops: "save home 308209 B63" or "save 308209 B63 as home"
+    const saveAsMatch = trimmed.match(/^save\s+(\d{6})(?:\s+([A-Z0-9\-]+))?\s+as\s+(.+)$/i);
+    const saveMatch = saveAsMatch || trimmed.match(/^save\s+(.+?)\s+(\d{6})(?:\s+([A-Z0-9\-]+))?$/i);
+    if (saveMatch) {
+      return {
+        type: 'favorite_save',
+        nickname: (saveAsMatch ? saveMatch[3] : saveMatch[1]).trim(),
+        stopCode: saveAsMatch ? saveMatch[1] : saveMatch[2],
+        route: (saveAsMatch ? saveMatch[2] : saveMatch[3])?.toUpperCase() || null
+      };
+    }
+    if (lower === 'favorites' || lower === 'saved' || lower === 'list favorites') {
+      return { type: 'favorite_list' };
+    }
+    const forgetMatch = lower.match(/^(?:forget|delete favorite|remove favorite)\s+(.+)$/);
+    if (forgetMatch) {
+      return { type: 'favorite_delete', nickname: forgetMatch[1].trim() };
+    }
+
+    // Walking time to a saved stop: "walk home 6"
+    const walkMatch = lower.match(/^walk\s+(.+?)\s+(\d{1,2})(?:\s*(?:min|mins|minutes))?$/);
+    if (walkMatch) {
+      return { type: 'walk_set', nickname: walkMatch[1].trim(), minutes: parseInt(walkMatch[2], 10) };
+    }
+
+    // Leave-now advice: "when should I leave for home", "leave for 308209 B63 walk 5 and remind me"
+    if (lower === 'leave off' || lower === 'leave cancel') {
+      return { type: 'leave_off' };
+    }
+    const leaveMatch = trimmed.match(/^(?:when\s+(?:should|do)\s+i\s+leave|leave)\s+(?:for\s+)?(.+?)(?:\s+walk\s+(\d{1,2})(?:\s*min)?)?(\s+(?:and\s+)?(?:remind|text)\s+me)?\??$/i);
+    if (leaveMatch) {
+      const stopMatch = leaveMatch[1].match(/^(\d{6})(?:\s+([A-Z0-9\-]+))?$/i);
+      return {
+        type: 'leave_query',
+        stopCode: stopMatch ? stopMatch[1] : null,
+        route: stopMatch?.[2]?.toUpperCase() || null,
+        nickname: stopMatch ? null : leaveMatch[1].trim(),
+        walkMinutes: leaveMatch[2] ? parseInt(leaveMatch[2], 10) : null,
+        remind: !!leaveMatch[3]
+      };
+    }
+
+    // Bus proximity alerts: "alert 308209 B63 5" (minutes optional), "alert off"
+    if (lower === 'alert off' || lower === 'alert cancel') {
+      return { type: 'alert_off' };
+    }
+    const alertMatch = trimmed.match(/^alert\s+(\d{6})(?:\s+([A-Z][A-Z0-9\-]*))?(?:\s+(\d{1,2}))?$/i);
+    if (alertMatch) {
+      return {
+        type: 'alert_set',
+        stopCode: alertMatch[1],
+        route: alertMatch[2]?.toUpperCase() || null,
+        minutes: alertMatch[3] ? parseInt(alertMatch[3], 10) : null
+      };
+    }
+
+    // Recurring arrivals: "every weekday 8:10 send 308209 B63"
+    const scheduleMatch = trimmed.match(/^every\s+(.+?)\s+(?:at\s+)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s+(?:send\s+)?(\d{6})(?:\s+([A-Z0-9\-]+))?$/i);
+    if (scheduleMatch) {
+      return {
+        type: 'schedule_create',
+        days: scheduleMatch[1],
+        time: scheduleMatch[2],
+        stopCode: scheduleMatch[3],
+        route: scheduleMatch[4]?.toUpperCase() || null
+      };
+    }
+    if (lower === 'schedules' || lower === 'list schedules') {
+      return { type: 'schedule_list' };
+    }
+    const scheduleActionMatch = lower.match(/^(pause|resume|delete)\s+schedule\s+#?(\d+)$/);
+    if (scheduleActionMatch) {
+      return {
+        type: `schedule_${scheduleActionMatch[1]}`,
+        scheduleId: parseInt(scheduleActionMatch[2], 10)
+      };
+    }
+
+    // Prediction reliability: "reliability B63 308209"
+    const reliabilityMatch = trimmed.match(/^reliability\s+(?:([A-Z][A-Z0-9\-]*)\s+(\d{6})|(\d{6})\s+([A-Z][A-Z0-9\-]*))$/i);
+    if (reliabilityMatch) {
+      return {
+        type: 'reliability',
+        route: (reliabilityMatch[1] || reliabilityMatch[4]).toUpperCase(),
+        stopCode: reliabilityMatch[2] || reliabilityMatch[3]
+      };
+    }
+
+    // Subway arrivals: "F at Jay St", "6 train at 14 St"
+    const subwayMatch = trimmed.match(/^([1-7ACEBDFGJLMNQRSWZ]|SIR)(?:\s+train)?\s+at\s+(.+)$/i);
+    if (subwayMatch) {
+      return {
+        type: 'subway_query',
+        line: subwayMatch[1].toUpperCase(),
+        station: subwayMatch[2].trim()
+      };
+    }
+
+    // Citi Bike availability: "bikes near 308209", "docks Atlantic Terminal"
+    const bikeMatch = trimmed.match(/^(?:citi\s*bikes?|bikes?|(docks?))\s+(?:docks?\s+)?(?:near\s+|at\s+)?(.+)$/i);
+    if (bikeMatch) {
+      return {
+        type: 'bike_query',
+        want: bikeMatch[1] || /^citi\s*bikes?\s+docks?\b/i.test(trimmed) ? 'docks' : 'bikes',
+        location: bikeMatch[2].trim()
+      };
+    }
+
     // Service changes (C <route>)
     if (lower.startsWith('c ')) {
       return { type: 'service_changes', route: trimmed.substring(2).trim().toUpperCase() };
     }
 
+    // Arrival display options, stripped before matching stop codes:
+    // "308209 B63 details" adds vehicle numbers, "308209 next 5" shows 5 buses
+    let stopText = trimmed;
+    const verbose = /\s+(?:details|verbose)$/i.test(stopText);
+    stopText = stopText.replace(/\s+(?:details|verbose)$/i, '');
+    const countMatch = stopText.match(/\s+(?:next|show)\s+(\d{1,2})$/i);
+    const maxResults = countMatch ? parseInt(countMatch[1], 10) : null;
+    if (countMatch) stopText = stopText.substring(0, countMatch.index);
+
+    // Next bus toward a place: "308209 to Bay Ridge", "308209 B63 toward Atlantic"
+    const towardMatch = stopText.match(/^(?:(?:stop|bus|check)\s+)?(\d{6})(?:\s+([A-Z]{1,3}\d{1,3}[A-Z]?(?:-SBS)?))?\s+(?:to|towards?)\s+(.+)$/i);
+    if (towardMatch) {
+      return {
+        type: 'stop_query',
+        stopCode: towardMatch[1],
+        route: towardMatch[2]?.toUpperCase() || null,
+        destination: towardMatch[3].trim(),
+        verbose,
+        maxResults
+      };
+    }
+
+    // Stop pair on one route: "B63 from 5 Av/Union to Atlantic"
+    const pairMatch = stopText.match(/^([A-Z]{1,3}\d{1,3}[A-Z]?(?:-SBS)?)\s+from\s+(.+?)\s+to\s+(.+)$/i);
+    if (pairMatch) {
+      return {
+        type: 'stop_pair_query',
+        route: pairMatch[1].toUpperCase(),
+        from: pairMatch[2].trim(),
+        to: pairMatch[3].trim(),
+        verbose,
+        maxResults
+      };
+    }
+
+    // Several stops/routes at once: "308209 B63, 308211 B61" or "308209 B63/B61"
+    const queries = this.parseStopList(stopText);
+    if (queries && queries.length > 1) {
+      return { type: 'multi_stop_query', queries, verbose, maxResults };
+    }
+
     // Bus stop query (6-digit code with optional route)
-    const stopMatch = trimmed.match(/(?:stop|bus|check|query|when|times?)?\s*(\d{6})(?:\s+([A-Z0-9\-]+))?/i);
+    const stopMatch = stopText.match(/(?:stop|bus|check|query|when|times?)?\s*(\d{6})(?:\s+([A-Z0-9\-]+))?/i);
     if (stopMatch) {
       return {
         type: 'stop_query',
         stopCode: stopMatch[1],
-        route: stopMatch[2]?.toUpperCase() || null
+        route: stopMatch[2]?.toUpperCase() || null,
+        verbose,
+        maxResults
       };
     }
 
-    // Food query (fallback for text >= 2 chars)
+    // Stop search by intersection: "Flatbush & 7th Ave B41" or "bus 5th ave / union st"
+    // Requires a route or a bus prefix so food like "mac & cheese" isn't caught
+    const searchMatch = trimmed.match(/^(?:(stop|bus|near)\s+)?(.+?\s*[&\/]\s*.+?)(?:\s+([A-Z]{1,3}\d{1,3}[A-Z]?(?:-SBS)?))?$/i);
+    if (searchMatch && (searchMatch[1] || searchMatch[3])) {
+      return {
+        type: 'stop_search',
+        location: searchMatch[2].trim(),
+        route: searchMatch[3]?.toUpperCase() || null
+      };
+    }
+
+    // Favorite stop lookup: "bus home"
+    const favoriteMatch = trimmed.match(/^bus\s+([a-z][a-z0-9 \-]{0,29})$/i);
+    if (favoriteMatch) {
+      return { type: 'favorite_query', nickname: favoriteMatch[1].trim() };
+    }
+
+    // Serving count after a nutrition label or barcode photo: "2", "1.5 servings", "half"
+    // Checked last so other commands win; server.js only uses it when a label or question is pending
+    const servingsMatch = lower.match(/^(\d{1,2}(?:\.\d+)?|1\/2|half)\s*(?:servings?)?$/);
+    if (servingsMatch && !hasMedia) {
+      const value = servingsMatch[1];
+      const servings = value === 'half' || value === '1/2' ? 0.5 : parseFloat(value);
+      if (servings > 0 && servings <= MAX_SERVINGS) {
+        return { type: 'servings_reply', servings };
+      }
+    }
+
+    // Food query (fallback for text >= 2 chars); "yesterday I had pizza" logs to yesterday
     if (trimmed.length >= 2) {
+      const pastMatch = trimmed.match(/^(yesterday|last night)[,:]?\s+(?:i\s+(?:had|ate)\s+)?(.{2,})$/i);
+      if (pastMatch) {
+        return { type: 'food_query', foodDescription: pastMatch[2], date: pastMatch[1].toLowerCase() };
+      }
       return { type: 'food_query', foodDescription: trimmed };
     }
 
@@ -117,6 +393,31 @@ class MessageParser {
     return { type: 'error', message: 'Send "how" for available commands.' };
   }
 
+  /**
+   * Parse a list of stop codes, each with optional routes
+   * e.g., "308209 B63, 308211 B61" or "308209 B63/B61" (one query per route)
+   * @param {string} text - Message text
+   * @returns {Array|null} [{ stopCode, route }] or null if any part isn't a stop
+   */
+  parseStopList(text) {
+    const queries = [];
+
+    for (const segment of text.split(/\s*[,;]\s*|\s+and\s+/i)) {
+      const match = segment.trim().match(/^(?:(?:stop|bus|check)\s+)?(\d{6})((?:[\s\/+]+[A-Z]{1,3}\d{1,3}[A-Z]?(?:-SBS)?)*)$/i);
+      if (!match) return null;
+
+      const routes = match[2].split(/[\s\/+]+/).filter(Boolean);
+      if (routes.length === 0) {
+        queries.push({ stopCode: match[1], route: null });
+      }
+      for (const route of routes) {
+        queries.push({ stopCode: match[1], route: route.toUpperCase() });
+      }
+    }
+
+    return queries;
+  }
+
   /**
    * Get help text describing all available commands
    * @returns {string} Help message
@@ -125,14 +426,39 @@ class MessageParser {
     return `Bus Times:
 • Send 6-digit stop code (e.g., 308209)
 • Add route to filter (e.g., 308209 B63)
+• Add "details" for bus numbers (e.g., 308209 B63 details)
+• Add "next 5" for more buses, or send several stops (e.g., 308209 B63, 308211 B61)
+• "308209 to Bay Ridge" or "B63 from 5 Av/Union to Atlantic" - one direction only
+• Or cross streets (e.g., Flatbush & 7th Ave B41)
+• Or share your location pin for the 3 nearest stops
+• "save home 308209 B63", then "bus home" ("favorites" to list, "forget home" to remove)
+• "walk home 6", then "leave for home" - when to head out ("and remind me" for a text)
+• "alert 308209 B63 5" - text me when the bus is 5 min away ("alert off" to cancel)
+• "every weekday 8:10 send 308209 B63" - daily push ("schedules" to list, pause or delete)
+• "c B63" - detours & service alerts
+• "reliability B63 308209" - how far off predictions run
+
+Subway:
+• Line and station (e.g., F at Jay St)
+
+Citi Bike:
+• "bikes near 308209" / "docks Atlantic Terminal" - bikes or free docks nearby
 
 Calorie Tracking:
 • Send food description (e.g., "2 eggs and toast")
-• Send photo of food for estimation
+• Start with "yesterday" to log to yesterday (e.g., "yesterday pizza at 11pm")
+• If an estimate is unsure you'll get one question first - answer it, or "log it" / "skip"
+• Send photo of food for estimation, or of a label / barcode for exact values, then "2" or "half" for servings
 • "total" - see today's calories
+• "list today" - numbered entries; "undo" or "edit entry 3 to 400" to fix one
+• "week" / "month" - averages, streaks, best & worst days
+• "save meal usual breakfast = 2 eggs, toast 320", then "usual breakfast" to log it ("meals" to list)
 • "sub 50" - subtract 50 calories
 • "target 2000" - set daily goal
+• "target protein 150" - set a macro goal (protein, carbs, fat, fiber; "off" to clear)
+• "weight 182.4", "goal lose 1 lb/week", then "tdee" for a suggested target ("confirm target" to apply)
 • "suggest 300 sweet" - get food ideas
+• "export" - CSV download links for daily totals, food entries & workouts
 • "reset calories" - start fresh
 
 Uber:
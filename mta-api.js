@@ -1,38 +1,345 @@
 const axios = require('axios');
+const Geocoder = require('./geocoder');
+const { recordPredictions } = require('./bus-reliability');
 
-const MTA_BASE_URL = 'https://bustime.mta.info/api/siri/stop-monitoring.json';
+// Any OneBusAway/SIRI deployment works; override with BUSTIME_BASE_URL
+// (e.g., a local fixture server) and the operator/agencies below.
+const DEFAULT_BASE_URL = 'https://bustime.mta.info';
+const DEFAULT_OPERATOR_REF = 'MTA';
+const DEFAULT_AGENCIES = ['MTA NYCT', 'MTABC'];
+
+const STOP_MONITORING_PATH = '/api/siri/stop-monitoring.json';
+const VEHICLE_MONITORING_PATH = '/api/siri/vehicle-monitoring.json';
+const STOPS_FOR_LOCATION_PATH = '/api/where/stops-for-location.json';
+const ROUTES_FOR_AGENCY_PATH = '/api/where/routes-for-agency';
+const STOP_PATH = '/api/where/stop';
+const STOPS_FOR_ROUTE_PATH = '/api/where/stops-for-route';
+
+// Route lists rarely change; refresh them once a day
+const ROUTE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const STOP_SEARCH_RADIUS_METERS = 250;
+const MAX_STOP_CANDIDATES = 4;
+
+// A shared pin may be mid-block, so look a little further for the nearest stops
+const NEARBY_RADIUS_METERS = 500;
+const MAX_NEARBY_STOPS = 3;
+const NEARBY_ARRIVALS_PER_STOP = 2;
+
+const DIRECTION_NAMES = {
+  N: 'northbound', S: 'southbound', E: 'eastbound', W: 'westbound',
+  NE: 'northeast-bound', NW: 'northwest-bound', SE: 'southeast-bound', SW: 'southwest-bound'
+};
+
+// Map common street suffixes to the abbreviations BusTime uses in stop names
+const STREET_ABBREVIATIONS = {
+  avenue: 'av', ave: 'av', street: 'st', boulevard: 'blvd', road: 'rd',
+  place: 'pl', parkway: 'pkwy', plaza: 'plz', drive: 'dr', lane: 'ln',
+  east: 'e', west: 'w', north: 'n', south: 's'
+};
+
+// Treat a bus as crowded at 80% of its estimated capacity when BusTime
+// sends passenger counts but no Occupancy value
+const CROWDED_LOAD_FACTOR = 0.8;
+
+// Keep each alert short enough that a few of them fit in one SMS
+const MAX_ALERT_LENGTH = 160;
+
+// Per-request limits: how many visits to ask BusTime for, and how many to
+// show. Capped so a reply still fits in a couple of SMS segments.
+const DEFAULT_MAX_STOP_VISITS = 5;
+const DEFAULT_MAX_RESULTS = 3;
+const MULTI_STOP_MAX_RESULTS = 6;
+const MAX_RESULTS_LIMIT = 10;
+
+// Arrivals change every ~30s upstream; a short TTL lets people polling the
+// same stop share one BusTime request. Stale entries are kept a while longer
+// so we can still answer (with an age note) when BusTime errors.
+const ARRIVALS_TTL_MS = 20 * 1000;
+const ARRIVALS_STALE_MAX_MS = 10 * 60 * 1000;
+const ARRIVALS_CACHE_SWEEP_SIZE = 500;
+
+// Route short name -> OBA route id, per base URL: { loadedAt, promise }
+const routeIndexCache = new Map();
+
+// "baseUrl|route" -> { loadedAt, promise } of ordered stops per direction
+const routeSequenceCache = new Map();
+
+// "baseUrl|stop|route|maxVisits" -> { data, fetchedAt, inflight }
+const arrivalsCache = new Map();
+const arrivalsCacheStats = { hits: 0, misses: 0, coalesced: 0, staleServed: 0, errors: 0 };
+
+/**
+ * Drop cache entries too old to serve even as stale data
+ */
+function sweepArrivalsCache() {
+  const cutoff = Date.now() - ARRIVALS_STALE_MAX_MS;
+  for (const [key, entry] of arrivalsCache) {
+    if (!entry.inflight && (!entry.data || entry.fetchedAt < cutoff)) arrivalsCache.delete(key);
+  }
+}
+
+/**
+ * Arrivals cache counters, for the /health endpoint and logs
+ * @returns {Object} { hits, misses, coalesced, staleServed, errors, hitRate, entries }
+ */
+function getArrivalsCacheStats() {
+  const served = arrivalsCacheStats.hits + arrivalsCacheStats.coalesced;
+  const total = served + arrivalsCacheStats.misses;
+  return {
+    ...arrivalsCacheStats,
+    hitRate: total > 0 ? Math.round((served / total) * 100) / 100 : 0,
+    entries: arrivalsCache.size
+  };
+}
+
+/**
+ * Resolve client options against env defaults
+ * @param {Object} options - { baseUrl, operatorRef, agencies }
+ */
+function resolveConfig(options = {}) {
+  const agencies = options.agencies ||
+    (process.env.OBA_AGENCIES ? process.env.OBA_AGENCIES.split(',').map(a => a.trim()).filter(Boolean) : DEFAULT_AGENCIES);
+
+  return {
+    baseUrl: (options.baseUrl || process.env.BUSTIME_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    operatorRef: options.operatorRef || process.env.BUSTIME_OPERATOR_REF || DEFAULT_OPERATOR_REF,
+    agencies
+  };
+}
+
+/**
+ * Load every route for the configured agencies into a short name -> route id map
+ */
+async function loadRouteIndex(apiKey, config) {
+  const index = new Map();
+
+  const axiosStart = Date.now();
+  await Promise.all(config.agencies.map(async agency => {
+    const url = `${config.baseUrl}${ROUTES_FOR_AGENCY_PATH}/${encodeURIComponent(agency)}.json`;
+    const response = await axios.get(url, { params: { key: apiKey } });
+    const routes = response.data?.data?.list || response.data?.data?.routes || [];
+    for (const route of routes) {
+      const name = (route.shortName || '').toUpperCase();
+      // First agency listed wins if two agencies share a short name
+      if (name && !index.has(name)) index.set(name, route.id);
+    }
+  }));
+  console.log(`[TIMING] oba-routes-for-agency: ${Date.now() - axiosStart}ms (${index.size} routes)`);
+
+  return index;
+}
+
+/**
+ * Resolve a route short name to its SIRI LineRef / OBA route id
+ * e.g., "B63" -> "MTA NYCT_B63", "Q10" -> "MTABC_Q10"
+ * Falls back to the first configured agency if the route list is unavailable.
+ */
+async function resolveLineRef(route, apiKey, config) {
+  const name = route.toUpperCase();
+  let cached = routeIndexCache.get(config.baseUrl);
+
+  if (!cached || Date.now() - cached.loadedAt > ROUTE_CACHE_TTL_MS) {
+    cached = { loadedAt: Date.now(), promise: loadRouteIndex(apiKey, config) };
+    routeIndexCache.set(config.baseUrl, cached);
+    // Don't cache failures; try again on the next lookup
+    cached.promise.catch(() => routeIndexCache.delete(config.baseUrl));
+  }
+
+  try {
+    const index = await cached.promise;
+    if (index.has(name)) return index.get(name);
+  } catch (error) {
+    console.error('OBA route list error:', error.message);
+  }
+
+  return `${config.agencies[0]}_${name}`;
+}
+
+/**
+ * Load a route's stops in travel order for each direction
+ * Direction ids match the SIRI DirectionRef on arrivals.
+ * @returns {Promise<Array>} [{ directionId, headsign, stops: [{ code, name }] }]
+ */
+async function loadRouteSequences(route, apiKey, config) {
+  const lineRef = await resolveLineRef(route, apiKey, config);
+
+  const axiosStart = Date.now();
+  const response = await axios.get(`${config.baseUrl}${STOPS_FOR_ROUTE_PATH}/${encodeURIComponent(lineRef)}.json`, {
+    params: { key: apiKey, includePolylines: false, version: 2 }
+  });
+  console.log(`[TIMING] oba-stops-for-route: ${Date.now() - axiosStart}ms`);
+
+  // version=2 nests the entry and puts stop details in references
+  const body = response.data?.data;
+  const entry = body?.entry || body;
+  const stopsById = new Map((body?.references?.stops || body?.stops || []).map(stop => [stop.id, stop]));
+  const groupings = (entry?.stopGroupings || []).filter(g => g.type === 'direction');
+
+  return groupings.flatMap(g => g.stopGroups || []).map(group => ({
+    directionId: String(group.id),
+    headsign: group.name?.name || null,
+    stops: (group.stopIds || []).map(id => {
+      const stop = stopsById.get(id);
+      return { code: stop?.code || id.replace(/^[^_]+_/, ''), name: stop?.name || '' };
+    })
+  }));
+}
+
+/**
+ * Cached wrapper around loadRouteSequences(); stop order changes as rarely as the route list
+ */
+async function getRouteSequences(route, apiKey, config) {
+  const key = `${config.baseUrl}|${route.toUpperCase()}`;
+  let cached = routeSequenceCache.get(key);
+
+  if (!cached || Date.now() - cached.loadedAt > ROUTE_CACHE_TTL_MS) {
+    cached = { loadedAt: Date.now(), promise: loadRouteSequences(route, apiKey, config) };
+    routeSequenceCache.set(key, cached);
+    cached.promise.catch(() => routeSequenceCache.delete(key));
+  }
+
+  return cached.promise;
+}
+
+/**
+ * Whether every word of a place query appears in a stop or destination name
+ * ("bay ridge" matches "BAY RIDGE 95 ST"; "5 Av/Union" matches "5 AV/UNION ST")
+ */
+function nameMatches(query, name) {
+  const queryTokens = streetTokens(query);
+  const nameTokens = streetTokens(name);
+  return queryTokens.length > 0 && queryTokens.every(t => nameTokens.includes(t));
+}
+
+/**
+ * Great-circle distance between two points in meters
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return Math.round(6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+/**
+ * Split a street name into comparable tokens ("7th Ave" and "7 AV" both -> ["7", "av"])
+ */
+function streetTokens(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && t !== 'and' && t !== 'at')
+    .map(t => t.replace(/^(\d+)(st|nd|rd|th)$/, '$1'))
+    .map(t => STREET_ABBREVIATIONS[t] || t);
+}
 
 class MTABusAPI {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - BusTime / OneBusAway API key
+   * @param {Object} [options]
+   * @param {Geocoder} [options.geocoder] - Geocoder for stop search
+   * @param {string} [options.baseUrl] - API host (default BUSTIME_BASE_URL or bustime.mta.info)
+   * @param {string} [options.operatorRef] - SIRI OperatorRef (default BUSTIME_OPERATOR_REF or MTA)
+   * @param {string[]} [options.agencies] - OBA agency ids used to resolve routes (default OBA_AGENCIES)
+   */
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
+    this.geocoder = options.geocoder || new Geocoder();
+    this.config = resolveConfig(options);
   }
 
   /**
    * Get bus arrivals for a specific stop
    * @param {string} stopCode - The 6-digit MTA stop code
    * @param {string} routeFilter - Optional route filter (e.g., 'B63', 'M15')
+   * @param {Object} [options]
+   * @param {number} [options.maxVisits] - MaximumStopVisits to request (default 5)
+   * @param {string} [options.destination] - Only keep buses heading toward this place
    * @returns {Promise<Object>} Arrival information
    */
-  async getStopArrivals(stopCode, routeFilter = null) {
+  async getStopArrivals(stopCode, routeFilter = null, options = {}) {
+    // Filtering throws most visits away, so ask for as many as we allow
+    if (options.destination) {
+      const data = await this.getStopArrivals(stopCode, routeFilter, { maxVisits: MAX_RESULTS_LIMIT });
+      return this.filterByDestination(data, stopCode, options.destination);
+    }
+
+    const maxVisits = Math.min(options.maxVisits || DEFAULT_MAX_STOP_VISITS, MAX_RESULTS_LIMIT);
+    const key = `${this.config.baseUrl}|${stopCode}|${routeFilter ? routeFilter.toUpperCase() : ''}|${maxVisits}`;
+    const entry = arrivalsCache.get(key) || {};
+    const now = Date.now();
+
+    if (entry.data && now - entry.fetchedAt < ARRIVALS_TTL_MS) {
+      arrivalsCacheStats.hits++;
+      return entry.data;
+    }
+
+    // Someone else is already asking BusTime for this stop; share their answer
+    if (entry.inflight) {
+      arrivalsCacheStats.coalesced++;
+      return entry.inflight;
+    }
+
+    arrivalsCacheStats.misses++;
+    entry.inflight = this.fetchStopArrivals(stopCode, routeFilter, maxVisits)
+      .then(data => {
+        entry.data = data;
+        entry.fetchedAt = Date.now();
+        return data;
+      })
+      .catch(error => {
+        arrivalsCacheStats.errors++;
+        if (entry.data && Date.now() - entry.fetchedAt < ARRIVALS_STALE_MAX_MS) {
+          arrivalsCacheStats.staleServed++;
+          return { ...entry.data, stale: true, ageSeconds: Math.round((Date.now() - entry.fetchedAt) / 1000) };
+        }
+        if (!entry.data) arrivalsCache.delete(key);
+        throw error;
+      })
+      .finally(() => {
+        entry.inflight = null;
+      });
+
+    arrivalsCache.set(key, entry);
+    if (arrivalsCache.size > ARRIVALS_CACHE_SWEEP_SIZE) sweepArrivalsCache();
+
+    return entry.inflight;
+  }
+
+  /**
+   * Fetch arrivals from BusTime, bypassing the cache
+   */
+  async fetchStopArrivals(stopCode, routeFilter = null, maxVisits = DEFAULT_MAX_STOP_VISITS) {
     try {
       const params = {
         key: this.apiKey,
-        OperatorRef: 'MTA',
+        OperatorRef: this.config.operatorRef,
         MonitoringRef: stopCode,
-        MaximumStopVisits: 5
+        MaximumStopVisits: maxVisits
       };
 
       // Add route filter if provided
       if (routeFilter) {
-        // MTA uses format: "MTA NYCT_B63"
-        params.LineRef = `MTA NYCT_${routeFilter.toUpperCase()}`;
+        params.LineRef = await resolveLineRef(routeFilter, this.apiKey, this.config);
       }
 
       const axiosStart = Date.now();
-      const response = await axios.get(MTA_BASE_URL, { params });
+      const response = await axios.get(`${this.config.baseUrl}${STOP_MONITORING_PATH}`, { params });
       console.log(`[TIMING] mta-axios-get: ${Date.now() - axiosStart}ms`);
 
-      return this.parseResponse(response.data);
+      const parsed = this.parseResponse(response.data);
+
+      // Keep every fresh prediction for reliability stats; never hold up the reply
+      if (process.env.DATABASE_URL) {
+        recordPredictions(stopCode, parsed).catch(error => {
+          console.error('Prediction recording failed:', error.message);
+        });
+      }
+
+      return parsed;
     } catch (error) {
       console.error('MTA API Error:', error.message);
       throw new Error('Unable to fetch bus times');
@@ -56,13 +363,25 @@ class MTABusAPI {
       const journey = visit.MonitoredVehicleJourney;
       const call = journey.MonitoredCall;
 
+      const capacities = call.Extensions?.Capacities;
+      const progress = [].concat(journey.ProgressStatus || []).join(' ');
+
       return {
         route: journey.PublishedLineName,
         destination: journey.DestinationName,
-        stopsAway: call.Extensions?.Distances?.StopsFromCall || 0,
-        distanceMeters: call.Extensions?.Distances?.DistanceFromCall || 0,
+        // null when BusTime sends no Distances extension, so it isn't read as "0 stops away"
+        stopsAway: call.Extensions?.Distances?.StopsFromCall ?? null,
+        distanceMeters: call.Extensions?.Distances?.DistanceFromCall ?? null,
         expectedArrival: call.ExpectedArrivalTime,
-        hasRealtimeData: journey.Monitored
+        hasRealtimeData: journey.Monitored,
+        vehicleRef: journey.VehicleRef ? journey.VehicleRef.replace(/^[^_]+_/, '') : null,
+        occupancy: journey.Occupancy || null,
+        passengerCount: capacities?.EstimatedPassengerCount ?? null,
+        passengerCapacity: capacities?.EstimatedPassengerCapacity ?? null,
+        directionRef: journey.DirectionRef != null ? String(journey.DirectionRef) : null,
+        onLayover: /\blayover\b/i.test(progress),
+        onPriorTrip: /\bprevTrip\b/i.test(progress),
+        departsTerminalAt: journey.OriginAimedDepartureTime || null
       };
     });
 
@@ -73,31 +392,240 @@ class MTABusAPI {
     };
   }
 
+  /**
+   * Keep only arrivals heading toward a destination. A bus matches if its
+   * DestinationName matches, or if a stop matching the destination comes
+   * after this stop in the route's stop sequence for the bus's direction
+   * (so "to Atlantic" works for a B63 signed "COBBLE HILL").
+   * @param {Object} parsedData - From parseResponse() or the schedule fallback
+   * @param {string} stopCode - Stop the arrivals are for
+   * @param {string} destination - Place name, e.g., "Bay Ridge"
+   * @returns {Promise<Object>} parsedData with filtered arrivals and { destination, unfilteredCount }
+   */
+  async filterByDestination(parsedData, stopCode, destination) {
+    const towardDestination = async arrival => {
+      if (nameMatches(destination, arrival.destination)) return true;
+      if (arrival.directionRef == null) return false;
+
+      try {
+        const sequences = await getRouteSequences(arrival.route, this.apiKey, this.config);
+        const group = sequences.find(g => g.directionId === arrival.directionRef);
+        const here = group ? group.stops.findIndex(stop => stop.code === stopCode) : -1;
+        return here >= 0 && group.stops.slice(here + 1).some(stop => nameMatches(destination, stop.name));
+      } catch (error) {
+        console.error('OBA stops-for-route error:', error.message);
+        return false;
+      }
+    };
+
+    const keep = await Promise.all(parsedData.arrivals.map(towardDestination));
+    const arrivals = parsedData.arrivals.filter((arrival, index) => keep[index]);
+
+    return {
+      ...parsedData,
+      found: arrivals.length > 0,
+      arrivals,
+      destination,
+      unfilteredCount: parsedData.arrivals.length
+    };
+  }
+
+  /**
+   * Find the boarding stop and direction for a trip between two places on
+   * one route, e.g., B63 from "5 Av/Union" to "Atlantic"
+   * @param {string} route - Bus route (e.g., 'B63')
+   * @param {string} fromQuery - Boarding stop name
+   * @param {string} toQuery - Destination stop name
+   * @returns {Promise<Object>} { found, fromStop, toStop, directionId, headsign } or { found: false, error }
+   */
+  async findStopPair(route, fromQuery, toQuery) {
+    let sequences;
+    try {
+      sequences = await getRouteSequences(route, this.apiKey, this.config);
+    } catch (error) {
+      console.error('OBA stops-for-route error:', error.message);
+      throw new Error('Unable to load stops for that route');
+    }
+
+    const routeName = route.toUpperCase();
+    let sawFrom = false;
+    for (const group of sequences) {
+      const fromIndex = group.stops.findIndex(stop => nameMatches(fromQuery, stop.name));
+      if (fromIndex < 0) continue;
+      sawFrom = true;
+
+      const toIndex = group.stops.findIndex((stop, index) => index > fromIndex && nameMatches(toQuery, stop.name));
+      if (toIndex < 0) continue;
+
+      return {
+        found: true,
+        fromStop: group.stops[fromIndex],
+        toStop: group.stops[toIndex],
+        directionId: group.directionId,
+        headsign: group.headsign
+      };
+    }
+
+    return {
+      found: false,
+      error: sawFrom
+        ? `The ${routeName} doesn't stop at "${toQuery}" after "${fromQuery}".`
+        : `No ${routeName} stop matching "${fromQuery}".`
+    };
+  }
+
+  /**
+   * Arrivals at the boarding stop of a stop pair, in the right direction only
+   * @returns {Promise<Object>} Parsed arrivals plus { stopCode, destination }, or { found: false, error }
+   */
+  async getStopPairArrivals(route, fromQuery, toQuery) {
+    const pair = await this.findStopPair(route, fromQuery, toQuery);
+    if (!pair.found) return { found: false, arrivals: [], error: pair.error };
+
+    const data = await this.getStopArrivals(pair.fromStop.code, route, { maxVisits: MAX_RESULTS_LIMIT });
+    const arrivals = data.arrivals.filter(a => a.directionRef == null || a.directionRef === pair.directionId);
+
+    return {
+      ...data,
+      found: arrivals.length > 0,
+      arrivals,
+      stopName: data.stopName || pair.fromStop.name,
+      stopCode: pair.fromStop.code,
+      destination: pair.toStop.name
+    };
+  }
+
+  /**
+   * Merge several stop/route lookups into one arrivals list sorted by ETA.
+   * Each arrival keeps the name of the stop it came from.
+   * @param {Array} queries - [{ stopCode, route }]
+   * @param {Array} results - Promise.allSettled() results, one per query
+   * @returns {Object} { found, multiStop: true, arrivals, missing, stale, ageSeconds }
+   */
+  mergeArrivals(queries, results) {
+    if (results.every(r => r.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    const arrivals = [];
+    const missing = [];
+    let ageSeconds = 0;
+
+    results.forEach((result, index) => {
+      const query = queries[index];
+      if (result.status === 'rejected' || !result.value.found) {
+        missing.push(query.route ? `${query.stopCode} ${query.route}` : query.stopCode);
+        return;
+      }
+      for (const arrival of result.value.arrivals) {
+        arrivals.push({ ...arrival, stopCode: query.stopCode, stopName: result.value.stopName });
+      }
+      if (result.value.stale) ageSeconds = Math.max(ageSeconds, result.value.ageSeconds);
+    });
+
+    const eta = arrival => (arrival.expectedArrival ? new Date(arrival.expectedArrival).getTime() : Infinity);
+    arrivals.sort((a, b) => eta(a) - eta(b) || (a.stopsAway || 0) - (b.stopsAway || 0));
+
+    return {
+      found: arrivals.length > 0,
+      multiStop: true,
+      arrivals,
+      missing,
+      stale: ageSeconds > 0,
+      ageSeconds
+    };
+  }
+
+  /**
+   * Short rider-facing notes for one arrival: crowding and layover status
+   * @param {Object} arrival - From parseResponse()
+   * @param {boolean} verbose - Also include the vehicle number
+   * @returns {string[]}
+   */
+  describeVehicle(arrival, verbose = false) {
+    const notes = [];
+
+    const load = arrival.passengerCapacity
+      ? arrival.passengerCount / arrival.passengerCapacity
+      : null;
+    if (arrival.occupancy === 'full' || (load != null && load >= CROWDED_LOAD_FACTOR)) {
+      notes.push('crowded');
+    } else if (arrival.occupancy === 'standingAvailable') {
+      notes.push('standing room only');
+    }
+
+    if (arrival.onLayover || arrival.onPriorTrip) {
+      if (arrival.departsTerminalAt) {
+        const clock = new Date(arrival.departsTerminalAt).toLocaleTimeString('en-US', {
+          hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York'
+        });
+        notes.push(`departs terminal at ${clock}`);
+      } else {
+        notes.push(arrival.onLayover ? 'on layover' : 'finishing prior trip');
+      }
+    }
+
+    if (verbose && arrival.vehicleRef) {
+      notes.push(`bus #${arrival.vehicleRef}`);
+    }
+
+    return notes;
+  }
+
   /**
    * Format arrivals into human-readable text message
+   * @param {Object} parsedData - From getStopArrivals() or the schedule fallback
+   * @param {number} maxResults - Number of arrivals to list (default 3, or 6 for several stops)
+   * @param {Object} [options]
+   * @param {boolean} [options.verbose] - Show vehicle numbers
    */
-  formatAsText(parsedData, maxResults = 3) {
+  formatAsText(parsedData, maxResults = null, options = {}) {
+    const defaultResults = parsedData.multiStop ? MULTI_STOP_MAX_RESULTS : DEFAULT_MAX_RESULTS;
+    maxResults = Math.min(maxResults || defaultResults, MAX_RESULTS_LIMIT);
+
+    if (parsedData.error) {
+      return `${parsedData.error} Try "B63 from 5 Av/Union St to Atlantic Av".`;
+    }
+    if (parsedData.destination && parsedData.arrivals.length === 0 && parsedData.unfilteredCount !== 0) {
+      return `No buses toward ${parsedData.destination} found${parsedData.stopName ? ` at ${parsedData.stopName}` : ''} right now. Check the stop is on the right side of the street, or visit bustime.mta.info.`;
+    }
     if (!parsedData.found || parsedData.arrivals.length === 0) {
-      return 'No buses found arriving at this stop right now. Please check your stop code and try again, or visit bustime.mta.info for more info.';
+      return parsedData.multiStop
+        ? 'No buses found arriving at those stops right now. Please check your stop codes and try again.'
+        : 'No buses found arriving at this stop right now. Please check your stop code and try again, or visit bustime.mta.info for more info.';
     }
 
     // Add header to make message more conversational (avoid OTP filtering)
-    let message = `Bus arrivals at ${parsedData.stopName}:\n\n`;
+    let message;
+    const toward = parsedData.destination ? ` toward ${parsedData.destination}` : '';
+    if (parsedData.multiStop) message = 'Bus arrivals:\n\n';
+    else if (parsedData.scheduled) message = `Scheduled departures at ${parsedData.stopName}${toward} (no live data):\n\n`;
+    else message = `Bus arrivals at ${parsedData.stopName}${toward}:\n\n`;
 
     parsedData.arrivals.slice(0, maxResults).forEach((arrival, index) => {
       let etaText;
 
-      if (arrival.expectedArrival) {
+      if (arrival.scheduled) {
+        // Static timetable only: no stop counts, show the clock time instead
+        const minutesAway = Math.max(0, Math.round((new Date(arrival.expectedArrival) - Date.now()) / 60000));
+        const clock = new Date(arrival.expectedArrival).toLocaleTimeString('en-US', {
+          hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York'
+        });
+        etaText = `${minutesAway} min (scheduled ${clock})`;
+      } else if (arrival.expectedArrival) {
         const minutesAway = Math.round((new Date(arrival.expectedArrival) - Date.now()) / 60000);
 
         if (minutesAway <= 0 || arrival.stopsAway === 0) {
           etaText = 'arriving now';
         } else {
-          const stopsInfo = `${arrival.stopsAway} stop${arrival.stopsAway > 1 ? 's' : ''}`;
-          etaText = arrival.hasRealtimeData
-            ? `${minutesAway} min (${stopsInfo})`
-            : `~${minutesAway} min (${stopsInfo}, scheduled)`;
+          const notes = [];
+          if (arrival.stopsAway != null) notes.push(`${arrival.stopsAway} stop${arrival.stopsAway > 1 ? 's' : ''}`);
+          if (!arrival.hasRealtimeData) notes.push('scheduled');
+          const minutes = arrival.hasRealtimeData ? `${minutesAway} min` : `~${minutesAway} min`;
+          etaText = notes.length > 0 ? `${minutes} (${notes.join(', ')})` : minutes;
         }
+      } else if (arrival.stopsAway == null) {
+        etaText = 'no ETA yet';
       } else {
         etaText = arrival.stopsAway === 0
           ? 'arriving now'
@@ -107,7 +635,13 @@ class MTABusAPI {
         }
       }
 
-      message += `Route ${arrival.route} to ${arrival.destination} - ${etaText}`;
+      const notes = this.describeVehicle(arrival, options.verbose);
+      if (notes.length > 0) {
+        etaText += `, ${notes.join(', ')}`;
+      }
+
+      const stopText = parsedData.multiStop ? ` at ${arrival.stopName}` : '';
+      message += `Route ${arrival.route} to ${arrival.destination}${stopText} - ${etaText}`;
 
       if (index < Math.min(maxResults, parsedData.arrivals.length) - 1) {
         message += '\n\n';
@@ -120,8 +654,328 @@ class MTABusAPI {
       message += `\n\n(Showing ${maxResults} of ${totalBuses} buses)`;
     }
 
+    if (parsedData.missing?.length > 0) {
+      message += `\n\n(No buses found for ${parsedData.missing.join(', ')})`;
+    }
+
+    if (parsedData.stale) {
+      const age = parsedData.ageSeconds < 60 ? `${parsedData.ageSeconds}s` : `${Math.round(parsedData.ageSeconds / 60)} min`;
+      message += `\n\n(BusTime is not responding; this is from ${age} ago)`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Get bus stops near a coordinate using OneBusAway stops-for-location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusMeters - Search radius
+   * @returns {Promise<Array>} Stops sorted by distance
+   */
+  async getStopsNearLocation(lat, lon, radiusMeters = STOP_SEARCH_RADIUS_METERS) {
+    try {
+      const params = {
+        key: this.apiKey,
+        lat,
+        lon,
+        radius: radiusMeters
+      };
+
+      const axiosStart = Date.now();
+      const response = await axios.get(`${this.config.baseUrl}${STOPS_FOR_LOCATION_PATH}`, { params });
+      console.log(`[TIMING] oba-stops-for-location: ${Date.now() - axiosStart}ms`);
+
+      const stops = response.data?.data?.stops || response.data?.data?.list || [];
+
+      return stops
+        .map(stop => ({
+          code: stop.code || stop.id?.replace(/^[^_]+_/, ''),
+          name: stop.name,
+          direction: stop.direction || null,
+          lat: stop.lat,
+          lon: stop.lon,
+          routes: (stop.routes || []).map(r => r.shortName).filter(Boolean),
+          distanceMeters: distanceMeters(lat, lon, stop.lat, stop.lon)
+        }))
+        .sort((a, b) => a.distanceMeters - b.distanceMeters);
+    } catch (error) {
+      console.error('OBA API Error:', error.message);
+      throw new Error('Unable to search for bus stops');
+    }
+  }
+
+  /**
+   * Nearest stops to a point, each with its next arrivals
+   * Used for shared location pins where the user doesn't know the stop codes.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} { found, stops: [{ ...stop, arrivals, error }] }
+   */
+  async getNearbyStopsWithArrivals(lat, lon) {
+    const stops = (await this.getStopsNearLocation(lat, lon, NEARBY_RADIUS_METERS)).slice(0, MAX_NEARBY_STOPS);
+
+    const results = await Promise.allSettled(stops.map(stop => this.getStopArrivals(stop.code)));
+
+    return {
+      found: stops.length > 0,
+      stops: stops.map((stop, index) => ({
+        ...stop,
+        arrivals: results[index].status === 'fulfilled' ? results[index].value.arrivals : [],
+        error: results[index].status === 'rejected'
+      }))
+    };
+  }
+
+  /**
+   * Format nearby stops and their next buses for SMS
+   */
+  formatNearbyStops(nearby) {
+    if (!nearby.found) {
+      return `No bus stops within ${NEARBY_RADIUS_METERS}m of that location.`;
+    }
+
+    const sections = nearby.stops.map((stop, index) => {
+      const direction = DIRECTION_NAMES[stop.direction] || stop.direction;
+      let header = `${index + 1}. ${stop.name}`;
+      if (direction) header += ` (${direction})`;
+      header += ` - ${stop.code}, ${stop.distanceMeters}m`;
+
+      let detail;
+      if (stop.error) {
+        detail = 'Arrivals unavailable';
+      } else if (stop.arrivals.length === 0) {
+        detail = stop.routes.length > 0 ? `${stop.routes.join(', ')}: no buses right now` : 'No buses right now';
+      } else {
+        detail = stop.arrivals.slice(0, NEARBY_ARRIVALS_PER_STOP).map(arrival => {
+          const minutesAway = arrival.expectedArrival
+            ? Math.max(0, Math.round((new Date(arrival.expectedArrival) - Date.now()) / 60000))
+            : null;
+          const eta = minutesAway != null
+            ? (minutesAway === 0 ? 'now' : `${minutesAway} min`)
+            : arrival.stopsAway != null ? `${arrival.stopsAway} stops` : 'no ETA';
+          return `${arrival.route} to ${arrival.destination} - ${eta}`;
+        }).join('\n');
+      }
+
+      return `${header}\n${detail}`;
+    });
+
+    return `Nearest bus stops:\n\n${sections.join('\n\n')}\n\nText a stop code for more.`;
+  }
+
+  /**
+   * Look up a single stop's name and coordinates using OneBusAway
+   * @param {string} stopCode - 6-digit MTA stop code
+   * @returns {Promise<Object|null>} { code, name, direction, lat, lon } or null if unknown
+   */
+  async getStop(stopCode) {
+    try {
+      const stopId = `${this.config.operatorRef}_${stopCode}`;
+
+      const axiosStart = Date.now();
+      const response = await axios.get(`${this.config.baseUrl}${STOP_PATH}/${encodeURIComponent(stopId)}.json`, {
+        params: { key: this.apiKey },
+        validateStatus: status => status === 200 || status === 404
+      });
+      console.log(`[TIMING] oba-stop: ${Date.now() - axiosStart}ms`);
+
+      const stop = response.data?.data?.entry || response.data?.data;
+      if (response.status === 404 || stop?.lat == null) return null;
+
+      return {
+        code: stop.code || stopCode,
+        name: stop.name,
+        direction: stop.direction || null,
+        lat: stop.lat,
+        lon: stop.lon
+      };
+    } catch (error) {
+      console.error('OBA API Error:', error.message);
+      throw new Error('Unable to look up that bus stop');
+    }
+  }
+
+  /**
+   * Find bus stops by intersection or landmark
+   * Geocodes the query, then ranks nearby stops by how well their name
+   * matches the query and by distance. Opposite sides of the street come
+   * back as separate candidates with their direction.
+   * @param {string} query - e.g., "Flatbush & 7th Ave"
+   * @param {string} routeFilter - Optional route filter (e.g., 'B41')
+   * @returns {Promise<Object>} { found, ambiguous, location, candidates }
+   */
+  async searchStops(query, routeFilter = null) {
+    const location = await this.geocoder.geocode(query);
+    if (!location.found) {
+      return { found: false, ambiguous: false, location: null, candidates: [] };
+    }
+
+    let stops = await this.getStopsNearLocation(location.lat, location.lon);
+
+    if (routeFilter) {
+      const route = routeFilter.toUpperCase();
+      stops = stops.filter(stop => stop.routes.some(r => r.toUpperCase() === route));
+    }
+
+    const queryTokens = new Set(streetTokens(query));
+    const scored = stops.map(stop => {
+      const nameTokens = streetTokens(stop.name);
+      const matches = nameTokens.filter(t => queryTokens.has(t)).length;
+      return { ...stop, score: nameTokens.length ? matches / nameTokens.length : 0 };
+    });
+
+    // Prefer stops named after the query; fall back to the closest stops
+    const bestScore = Math.max(0, ...scored.map(s => s.score));
+    const candidates = scored
+      .filter(stop => bestScore === 0 || stop.score === bestScore)
+      .slice(0, MAX_STOP_CANDIDATES);
+
+    return {
+      found: candidates.length > 0,
+      ambiguous: candidates.length > 1,
+      location: location.label,
+      candidates
+    };
+  }
+
+  /**
+   * Format stop search candidates as a short numbered list
+   */
+  formatStopCandidates(searchResult) {
+    if (!searchResult.found) {
+      return 'No bus stops found near that location. Try a cross street (e.g., "Flatbush & 7th Ave") or send the 6-digit stop code.';
+    }
+
+    return searchResult.candidates.map((stop, index) => {
+      const direction = DIRECTION_NAMES[stop.direction] || stop.direction;
+      let line = `${index + 1}. ${stop.name}`;
+      if (direction) line += ` (${direction})`;
+      line += ` - ${stop.code}`;
+      if (stop.routes.length > 0) line += ` [${stop.routes.join(', ')}]`;
+      return line;
+    }).join('\n');
+  }
+}
+
+class MTAServiceAlertsAPI {
+  /**
+   * @param {string} apiKey - BusTime / OneBusAway API key
+   * @param {Object} [options] - { baseUrl, operatorRef, agencies }, same as MTABusAPI
+   */
+  constructor(apiKey, options = {}) {
+    this.apiKey = apiKey;
+    this.config = resolveConfig(options);
+  }
+
+  /**
+   * Get active service alerts (detours, reroutes, etc.) for a route
+   * BusTime only publishes SIRI SituationExchange alongside monitoring
+   * responses, so we ask vehicle-monitoring for the line with minimal detail.
+   * @param {string} route - Bus route (e.g., 'B63', 'M15')
+   * @returns {Promise<Object>} Alert information
+   */
+  async getRouteAlerts(route) {
+    try {
+      const params = {
+        key: this.apiKey,
+        OperatorRef: this.config.operatorRef,
+        LineRef: await resolveLineRef(route, this.apiKey, this.config),
+        VehicleMonitoringDetailLevel: 'minimum'
+      };
+
+      const axiosStart = Date.now();
+      const response = await axios.get(`${this.config.baseUrl}${VEHICLE_MONITORING_PATH}`, { params });
+      console.log(`[TIMING] mta-alerts-axios-get: ${Date.now() - axiosStart}ms`);
+
+      return this.parseResponse(response.data, route.toUpperCase());
+    } catch (error) {
+      console.error('MTA Alerts API Error:', error.message);
+      throw new Error('Unable to fetch service alerts');
+    }
+  }
+
+  /**
+   * Parse SituationExchange deliveries into simplified, de-duplicated alerts
+   * Only alerts whose publication window covers now are kept.
+   */
+  parseResponse(data, route) {
+    const deliveries = data?.Siri?.ServiceDelivery?.SituationExchangeDelivery || [];
+    const situations = deliveries.flatMap(d => d?.Situations?.PtSituationElement || []);
+    const now = Date.now();
+    const seen = new Set();
+    const alerts = [];
+
+    for (const situation of situations) {
+      const id = situation.SituationNumber || situation.Summary;
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const windows = [].concat(situation.PublicationWindow || []);
+      const active = windows.length === 0 || windows.some(w => {
+        const start = w.StartTime ? new Date(w.StartTime).getTime() : -Infinity;
+        const end = w.EndTime ? new Date(w.EndTime).getTime() : Infinity;
+        return start <= now && now <= end;
+      });
+      if (!active) continue;
+
+      alerts.push({
+        id,
+        summary: this.cleanText(situation.Summary),
+        description: this.cleanText(situation.Description),
+        severity: situation.Severity || null,
+        reason: situation.ReasonName || null
+      });
+    }
+
+    return {
+      found: alerts.length > 0,
+      route,
+      alerts
+    };
+  }
+
+  /**
+   * Normalize SIRI text fields (may be strings, arrays, or { value } objects)
+   */
+  cleanText(field) {
+    const value = Array.isArray(field) ? field[0] : field;
+    const text = typeof value === 'object' && value !== null ? value.value : value;
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Format alerts into a condensed SMS summary
+   */
+  formatAsText(parsedData, maxResults = 3) {
+    if (!parsedData.found) {
+      return `No active service alerts for ${parsedData.route}. Buses should be running normally.`;
+    }
+
+    // Detours and reroutes are what riders act on, so list them first
+    const isDetour = a => /detour|reroute|bypass|will not stop|not serv/i.test(`${a.summary} ${a.description}`);
+    const sorted = [...parsedData.alerts].sort((a, b) => isDetour(b) - isDetour(a));
+
+    let message = `Service alerts for ${parsedData.route}:\n\n`;
+
+    message += sorted.slice(0, maxResults).map(alert => {
+      let text = alert.summary || alert.description;
+      if (alert.description && alert.description !== alert.summary && text.length < MAX_ALERT_LENGTH) {
+        text = `${text} - ${alert.description}`;
+      }
+      if (text.length > MAX_ALERT_LENGTH) {
+        text = `${text.substring(0, MAX_ALERT_LENGTH - 3).trim()}...`;
+      }
+      return `- ${text}`;
+    }).join('\n\n');
+
+    const totalAlerts = sorted.length;
+    if (totalAlerts > maxResults) {
+      message += `\n\n(Showing ${maxResults} of ${totalAlerts} alerts. More at mta.info)`;
+    }
+
     return message;
   }
 }
 
-module.exports = MTABusAPI;
+module.exports = { MTABusAPI, MTAServiceAlertsAPI, getArrivalsCacheStats, distanceMeters };
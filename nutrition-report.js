@@ -0,0 +1,136 @@
+const { getDailyTotals, getTarget, getMacroTargets, formatMacroProgress } = require('./calorie-tracker');
+const { getExerciseCaloriesByDate } = require('./workout-tracker');
+const { calculateTarget, savePendingTarget, formatTargetProposal } = require('./adaptive-target');
+const { getTodayKey, shiftDateKey } = require('./log-date');
+
+// The digest only suggests a new calorie target if it moves at least this much
+const DIGEST_TARGET_CHANGE_MIN = 50;
+
+function formatDay(key) {
+  return new Date(`${key}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/**
+ * Summarize the last N complete days (today is excluded since it's still in progress)
+ * Each day's budget is the calorie target plus that day's exercise calories,
+ * matching the budget shown by "total".
+ * @param {number} days - 7 for a week, 30 for a month
+ * @returns {Promise<Object>} { days, startDate, endDate, loggedDays, target, averages, ... }
+ */
+async function getNutritionReport(days = 7) {
+  const today = getTodayKey();
+  const endDate = shiftDateKey(today, -1);
+  const startDate = shiftDateKey(today, -days);
+
+  const [dailyTotals, exerciseByDate, target, macroTargets] = await Promise.all([
+    getDailyTotals(startDate, endDate),
+    getExerciseCaloriesByDate(startDate, endDate),
+    getTarget(),
+    getMacroTargets()
+  ]);
+
+  const logged = dailyTotals.map(day => {
+    const budget = target + (exerciseByDate.get(day.date) || 0);
+    return { ...day, budget, diff: day.calories - budget };
+  });
+  const byDate = new Map(logged.map(day => [day.date, day]));
+
+  const average = field => (logged.length > 0
+    ? Math.round(logged.reduce((sum, day) => sum + day[field], 0) / logged.length)
+    : null);
+
+  // Streaks count consecutive logged days at or under budget; a missed day breaks them
+  let longestStreak = 0;
+  let run = 0;
+  for (let key = startDate; key <= endDate; key = shiftDateKey(key, 1)) {
+    const day = byDate.get(key);
+    run = day && day.diff <= 0 ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+  const currentStreak = run;
+
+  const byCloseness = [...logged].sort((a, b) => Math.abs(a.diff) - Math.abs(b.diff));
+
+  return {
+    days,
+    startDate,
+    endDate,
+    loggedDays: logged.length,
+    target,
+    macroTargets,
+    averages: {
+      calories: average('calories'),
+      budget: average('budget'),
+      protein: average('protein'),
+      carbs: average('carbs'),
+      fat: average('fat'),
+      fiber: average('fiber')
+    },
+    underDays: logged.filter(day => day.diff <= 0).length,
+    overDays: logged.filter(day => day.diff > 0).length,
+    proteinGoalDays: macroTargets.protein
+      ? logged.filter(day => day.protein >= macroTargets.protein).length
+      : null,
+    currentStreak,
+    longestStreak,
+    bestDay: byCloseness[0] || null,
+    worstDay: byCloseness[byCloseness.length - 1] || null
+  };
+}
+
+/**
+ * Format a nutrition report for SMS
+ */
+function formatNutritionReport(report) {
+  const period = { 1: 'day', 7: 'week' }[report.days] || `${report.days} days`;
+  if (report.loggedDays === 0) {
+    return `No food logged in the last ${period}. Text what you eat to start building history.`;
+  }
+
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+  const dayLine = day => `${formatDay(day.date)}, ${day.calories} cal (${signed(day.diff)})`;
+
+  let message = `Last ${period} (${formatDay(report.startDate)} - ${formatDay(report.endDate)}), ${report.loggedDays} day${report.loggedDays === 1 ? '' : 's'} logged:\n`;
+  message += `Avg ${report.averages.calories} cal vs ${report.averages.budget} budget\n`;
+  message += `${formatMacroProgress(report.averages, report.macroTargets)} avg\n`;
+  message += `\nUnder budget ${report.underDays}, over ${report.overDays}`;
+  if (report.proteinGoalDays != null) {
+    message += `\nProtein goal hit ${report.proteinGoalDays} of ${report.loggedDays} days`;
+  }
+  message += `\nStreak: ${report.currentStreak} day${report.currentStreak === 1 ? '' : 's'} on target (best ${report.longestStreak})`;
+
+  if (report.loggedDays > 1) {
+    message += `\n\nBest: ${dayLine(report.bestDay)}\nWorst: ${dayLine(report.worstDay)}`;
+  }
+
+  return message;
+}
+
+/**
+ * Send the weekly nutrition digest via SMS
+ * @param {Function} sendSMS - async function(to, from, body)
+ * @param {string} toNumber - recipient phone number
+ * @param {string} fromNumber - Twilio phone number to send from
+ */
+async function sendWeeklyDigest(sendSMS, toNumber, fromNumber) {
+  const report = await getNutritionReport(7);
+  if (report.loggedDays === 0) {
+    console.log('[CRON] Skipping weekly digest - nothing logged this week');
+    return;
+  }
+  let message = `Weekly nutrition digest\n\n${formatNutritionReport(report)}`;
+
+  // With a weight goal set, suggest a new target when the weight trend says the old one is off.
+  // Only a suggestion that's sent is held for "confirm target".
+  const proposal = await calculateTarget();
+  if (proposal.target && Math.abs(proposal.target - proposal.currentTarget) >= DIGEST_TARGET_CHANGE_MIN) {
+    await savePendingTarget(toNumber, proposal.target);
+    message += `\n\n${formatTargetProposal(proposal)}`;
+  }
+
+  await sendSMS(toNumber, fromNumber, message);
+}
+
+module.exports = { getNutritionReport, formatNutritionReport, sendWeeklyDigest };
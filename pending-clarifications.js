@@ -0,0 +1,215 @@
+const { Pool } = require('pg');
+const { toDateKey } = require('./log-date');
+
+// Unanswered questions are dropped after this long, like pending Uber rides
+const EXPIRY_MINUTES = 10;
+
+// Replies that accept the best guess or drop the food instead of answering
+const KEEP_REPLIES = ['log it', 'log', 'keep', 'keep it', 'as is', 'fine', 'ok', 'yes'];
+const SKIP_REPLIES = ['skip', 'cancel', 'nevermind', 'never mind', 'no', 'forget it'];
+
+// Longer replies, or ones listing several things, are new food rather than an answer
+const MAX_ANSWER_WORDS = 6;
+
+// Words that only describe amount, size, or preparation: "about 2 cups",
+// "half a bowl", "large", "grilled with no sauce"
+const ANSWER_WORDS = new Set([
+  'it', "it's", 'its', 'was', 'is', 'were', 'a', 'an', 'the', 'of', 'with', 'without', 'no', 'in', 'on',
+  'about', 'around', 'roughly', 'maybe', 'like', 'just', 'only', 'mostly', 'pretty', 'very', 'really',
+  'kind', 'sort', 'bit', 'lot', 'little', 'extra', 'light', 'lightly', 'heavy', 'some', 'more', 'less',
+  'half', 'one', 'two', 'three', 'four', 'five', 'whole', 'full', 'quarter', 'third',
+  'small', 'medium', 'large', 'big', 'huge', 'tiny', 'regular', 'normal', 'standard', 'average', 'single', 'double',
+  'fried', 'deep', 'air', 'pan', 'grilled', 'baked', 'boiled', 'steamed', 'roasted', 'raw', 'sauteed',
+  'scrambled', 'poached', 'toasted', 'broiled', 'smoked', 'homemade', 'plain', 'oil', 'butter',
+  'cup', 'oz', 'ounce', 'g', 'gram', 'lb', 'lbs', 'pound', 'slice', 'piece', 'tbsp', 'tsp', 'tablespoon',
+  'teaspoon', 'ml', 'serving', 'portion', 'bowl', 'plate', 'scoop', 'handful'
+]);
+
+// Question words that aren't the thing being asked about
+const QUESTION_WORDS = new Set(['how', 'what', 'which', 'was', 'were', 'did', 'you', 'it', 'the', 'a', 'an', 'of',
+  'in', 'many', 'much', 'big', 'kind', 'type', 'size', 'cooked', 'made', 'have', 'had', 'eat', 'there', 'or', 'and']);
+
+// "eggs" and "egg", "2cups" and "2 cups" compare equal
+function answerTokens(text) {
+  return (text || '').toLowerCase()
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .split(/[^a-z0-9'./~]+/)
+    .map(word => word.replace(/^[~]+|[.]+$/g, ''))
+    .filter(Boolean)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the pending clarifications table if it doesn't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pending_clarifications (
+      phone VARCHAR(20) PRIMARY KEY,
+      estimate_json TEXT NOT NULL,
+      question TEXT NOT NULL,
+      source VARCHAR(20) NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  // Day the food is for, when logged to an earlier day (migration for existing tables)
+  await pool.query(`
+    ALTER TABLE pending_clarifications
+    ADD COLUMN IF NOT EXISTS log_date DATE
+  `);
+  console.log(`[TIMING] clarify-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Whether an estimate should wait for a follow-up answer before being logged
+ * @param {Object} calorieData - Result from GeminiCalorieAPI
+ */
+function needsClarification(calorieData) {
+  return Boolean(calorieData.success && calorieData.totalCalories &&
+    calorieData.confidence === 'low' && calorieData.question);
+}
+
+/**
+ * Whether a message reads as an answer to the pending question rather than new food
+ * An answer only describes amount, size, or preparation ("2 cups", "a large
+ * bowl", "grilled"), or names what was asked about ("How many eggs?" "3 eggs").
+ * Anything else ("banana", "2 eggs and toast") is logged on its own.
+ * @param {string} text - The user's message
+ * @param {Object} pending - From getPendingClarification()
+ */
+function isClarificationAnswer(text, pending) {
+  const reply = (text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  if (!reply || !pending) return false;
+  if (KEEP_REPLIES.includes(reply) || SKIP_REPLIES.includes(reply)) return true;
+  if (reply.split(/\s+/).length > MAX_ANSWER_WORDS || /,|\band\b|\+/.test(reply)) return false;
+
+  const words = answerTokens(reply).filter(word => !ANSWER_WORDS.has(word) && !/^[\d./]+$/.test(word));
+  if (words.length === 0) return true;
+
+  const subject = new Set([
+    ...answerTokens(pending.question),
+    ...answerTokens(pending.description),
+    ...(pending.calorieData?.items || []).flatMap(item => answerTokens(item.name))
+  ].filter(word => !QUESTION_WORDS.has(word) && !ANSWER_WORDS.has(word)));
+  return words.some(word => subject.has(word));
+}
+
+/**
+ * Hold a low-confidence estimate until the user answers its question
+ * @param {string} phone - User's phone number
+ * @param {Object} calorieData - Result from GeminiCalorieAPI, with a question
+ * @param {string} source - 'text' or 'photo'
+ * @param {string} [description] - What the user texted
+ * @param {string} [date] - Day to log to, YYYY-MM-DD (defaults to today when answered)
+ */
+async function savePendingClarification(phone, calorieData, source, description, date = null) {
+  await initTable();
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO pending_clarifications (phone, estimate_json, question, source, description, log_date)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (phone)
+    DO UPDATE SET estimate_json = $2, question = $3, source = $4, description = $5, log_date = $6, created_at = NOW()
+  `, [phone, JSON.stringify(calorieData), calorieData.question, source, description || null, date]);
+  console.log(`[TIMING] clarify-db-savePending: ${Date.now() - queryStart}ms`);
+}
+
+/**
+ * Get the estimate waiting on an answer, if it hasn't expired
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object|null>} { calorieData, question, source, description, date } or null
+ */
+async function getPendingClarification(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT * FROM pending_clarifications
+    WHERE phone = $1
+    AND created_at > NOW() - INTERVAL '${EXPIRY_MINUTES} minutes'
+  `, [phone]);
+  console.log(`[TIMING] clarify-db-getPending: ${Date.now() - queryStart}ms`);
+
+  if (!rows[0]) return null;
+
+  const row = rows[0];
+  return {
+    calorieData: JSON.parse(row.estimate_json),
+    question: row.question,
+    source: row.source,
+    description: row.description,
+    date: row.log_date ? toDateKey(row.log_date) : null
+  };
+}
+
+/**
+ * Clear a pending clarification once answered or skipped
+ * @param {string} phone - User's phone number
+ */
+async function clearPendingClarification(phone) {
+  await initTable();
+  await pool.query('DELETE FROM pending_clarifications WHERE phone = $1', [phone]);
+}
+
+/**
+ * Apply the user's reply to their pending clarification
+ * "log it" keeps the best guess, "skip" drops the food, anything else is an
+ * answer that Gemini folds into a revised estimate.
+ * @param {GeminiCalorieAPI} geminiAPI
+ * @param {string} phone - User's phone number
+ * @param {string} answer - The user's reply
+ * @param {Object} [pending] - From getPendingClarification(), if already fetched
+ * @returns {Promise<Object|null>} null if nothing is pending, { skipped: true },
+ *   or { calorieData, source, description, date } ready for logEstimate()
+ */
+async function resolveClarification(geminiAPI, phone, answer, pending = null) {
+  pending = pending || await getPendingClarification(phone);
+  if (!pending) return null;
+
+  const reply = answer.trim().toLowerCase().replace(/[.!]+$/, '');
+  let calorieData = pending.calorieData;
+
+  if (SKIP_REPLIES.includes(reply)) {
+    await clearPendingClarification(phone);
+    return { skipped: true, calorieData };
+  }
+
+  let description = pending.description;
+  if (!KEEP_REPLIES.includes(reply)) {
+    const refined = await geminiAPI.refineEstimate(pending.calorieData, pending.question, answer);
+    // An unusable revision still leaves the original guess to log
+    if (refined.success && refined.totalCalories) {
+      calorieData = refined;
+    }
+    description = description ? `${description} (${answer.trim()})` : answer.trim();
+  }
+
+  await clearPendingClarification(phone);
+  return { calorieData, source: pending.source, description, date: pending.date };
+}
+
+/**
+ * Ask the follow-up, e.g. "How big was the bowl? ... Not logged yet (best guess ~450 cal)..."
+ */
+function formatClarificationQuestion(calorieData) {
+  return `${calorieData.question}\n\n` +
+    `Not logged yet (best guess ~${calorieData.totalCalories} cal). Reply with the answer, "log it" to keep the guess, or "skip".`;
+}
+
+module.exports = {
+  needsClarification,
+  isClarificationAnswer,
+  savePendingClarification,
+  getPendingClarification,
+  resolveClarification,
+  formatClarificationQuestion
+};
@@ -0,0 +1,186 @@
+const { Pool } = require('pg');
+
+const MACROS = ['protein', 'carbs', 'fat', 'fiber'];
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the saved meals table if it doesn't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS saved_meals (
+      phone VARCHAR(20) NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      calories INTEGER NOT NULL,
+      protein_g NUMERIC,
+      carbs_g NUMERIC,
+      fat_g NUMERIC,
+      fiber_g NUMERIC,
+      created_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (phone, name)
+    )
+  `);
+  console.log(`[TIMING] meals-db-initTable: ${Date.now() - start}ms`);
+}
+
+/**
+ * Normalize a meal name so "Usual Breakfast" and "usual  breakfast" match
+ */
+function normalizeName(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function rowToMeal(row) {
+  const hasMacros = MACROS.some(macro => row[`${macro}_g`] != null);
+  return {
+    name: row.name,
+    description: row.description,
+    calories: row.calories,
+    macros: hasMacros
+      ? Object.fromEntries(MACROS.map(macro => [macro, Math.round(parseFloat(row[`${macro}_g`]) || 0)]))
+      : null
+  };
+}
+
+/**
+ * Save (or overwrite) a meal under a name
+ * @param {string} phone - User's phone number
+ * @param {string} name - e.g., "usual breakfast"
+ * @param {string|null} description - What's in it, e.g. "2 eggs, toast, coffee"
+ * @param {number} calories - Total calories
+ * @param {Object|null} macros - Optional grams of { protein, carbs, fat, fiber }
+ * @returns {Promise<Object>} The saved meal
+ */
+async function saveMeal(phone, name, description, calories, macros = null) {
+  await initTable();
+  const mealName = normalizeName(name);
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    INSERT INTO saved_meals (phone, name, description, calories, protein_g, carbs_g, fat_g, fiber_g)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (phone, name)
+    DO UPDATE SET description = $3, calories = $4, protein_g = $5, carbs_g = $6, fat_g = $7, fiber_g = $8, created_at = NOW()
+    RETURNING *
+  `, [phone, mealName, description || null, Math.round(calories), ...MACROS.map(macro => macros?.[macro] ?? null)]);
+  console.log(`[TIMING] meals-db-save: ${Date.now() - queryStart}ms`);
+
+  return rowToMeal(rows[0]);
+}
+
+/**
+ * List all saved meals for a phone number
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Array>} Meals ordered by name
+ */
+async function listMeals(phone) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    'SELECT * FROM saved_meals WHERE phone = $1 ORDER BY name',
+    [phone]
+  );
+  console.log(`[TIMING] meals-db-list: ${Date.now() - queryStart}ms`);
+
+  return rows.map(rowToMeal);
+}
+
+/**
+ * Find the saved meal a food message refers to, if any
+ * Matches the whole message against a meal name, ignoring filler like
+ * "had my" or "ate the", so "had my usual breakfast" finds "usual breakfast".
+ * @param {string} phone - User's phone number
+ * @param {string} text - Food description as texted
+ * @returns {Promise<Object|null>} The meal or null
+ */
+async function findMeal(phone, text) {
+  const name = normalizeName(text)
+    .replace(/[.!]+$/, '')
+    .replace(/^(?:i\s+)?(?:had|ate|log|just had|just ate)\s+/, '')
+    .replace(/^(?:my|the|a|an)\s+/, '');
+  if (!name) return null;
+
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(
+    'SELECT * FROM saved_meals WHERE phone = $1 AND name = $2',
+    [phone, name]
+  );
+  console.log(`[TIMING] meals-db-find: ${Date.now() - queryStart}ms`);
+
+  return rows[0] ? rowToMeal(rows[0]) : null;
+}
+
+/**
+ * Delete a saved meal by name
+ * @param {string} phone - User's phone number
+ * @param {string} name - Meal name
+ * @returns {Promise<boolean>} Whether a meal was deleted
+ */
+async function deleteMeal(phone, name) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rowCount } = await pool.query(
+    'DELETE FROM saved_meals WHERE phone = $1 AND name = $2',
+    [phone, normalizeName(name)]
+  );
+  console.log(`[TIMING] meals-db-delete: ${Date.now() - queryStart}ms`);
+
+  return rowCount > 0;
+}
+
+/**
+ * Shape a saved meal like a GeminiCalorieAPI estimate so it can be logged
+ * with logEstimate() without calling Gemini
+ */
+function mealToEstimate(meal) {
+  return {
+    success: true,
+    items: [{ name: meal.name, calories: meal.calories, portion: meal.description || 'saved meal', ...(meal.macros || {}) }],
+    totalCalories: meal.calories,
+    macros: meal.macros,
+    confidence: 'high',
+    notes: null,
+    originalInput: meal.name
+  };
+}
+
+/**
+ * One-line description of a meal, e.g. "usual breakfast (2 eggs, toast, coffee): 320 cal"
+ */
+function describeMeal(meal) {
+  const contents = meal.description ? ` (${meal.description})` : '';
+  return `${meal.name}${contents}: ${meal.calories} cal`;
+}
+
+/**
+ * Format a saved meals list for SMS
+ * @param {Array} meals - From listMeals()
+ * @returns {string}
+ */
+function formatMeals(meals) {
+  if (meals.length === 0) {
+    return 'No saved meals. Text "save meal usual breakfast = 2 eggs, toast, coffee 320" to add one.';
+  }
+  return `Saved meals:\n${meals.map(describeMeal).join('\n')}\n\nText a meal's name to log it, "delete meal <name>" to remove it.`;
+}
+
+module.exports = {
+  saveMeal,
+  listMeals,
+  findMeal,
+  deleteMeal,
+  mealToEstimate,
+  describeMeal,
+  formatMeals
+};
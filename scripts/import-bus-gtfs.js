@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Import MTA Bus Static GTFS
+ *
+ * Loads stops, trips, calendar, calendar_dates and stop_times into Postgres
+ * so bus lookups can fall back to scheduled departures when BusTime has no
+ * realtime data. Download and unzip the borough feeds from
+ * https://new.mta.info/developers first.
+ *
+ * Usage:
+ *   node scripts/import-bus-gtfs.js gtfs_b gtfs_q gtfs_busco ...
+ *   node scripts/import-bus-gtfs.js --replace gtfs_b ...   (clear old data first)
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const { importGtfsDirectory, clearGtfs, closeGtfsPool } = require('../gtfs-schedule');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const replace = args.includes('--replace');
+  const dirs = args.filter(a => a !== '--replace');
+
+  if (dirs.length === 0) {
+    console.error('Usage: node scripts/import-bus-gtfs.js [--replace] <gtfs-dir> [<gtfs-dir> ...]');
+    process.exit(1);
+  }
+
+  if (replace) {
+    console.log('Clearing existing GTFS data...');
+    await clearGtfs();
+  }
+
+  for (const dir of dirs) {
+    console.log(`\nImporting ${dir}...`);
+    await importGtfsDirectory(dir);
+  }
+
+  await closeGtfsPool();
+  console.log('\nDone.');
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Import History From Other Apps
+ *
+ * Loads MyFitnessPal food and exercise summaries and Strong or Hevy workout
+ * exports into the food log and workout history. The format is detected from
+ * each file's header row, and rows that were already imported are skipped, so
+ * files can be imported again after a newer export.
+ *
+ * Exercise names are mapped to the names used when logging by text
+ * ("Bench Press (Dumbbell)" -> "bench press"). Pass --names with a JSON file
+ * like {"Incline Bench Press (Dumbbell)": "incline press"} to override them.
+ *
+ * Usage:
+ *   node scripts/import-history.js Nutrition-Summary-2024.csv strong.csv
+ *   node scripts/import-history.js --kg --names exercise-names.json strong.csv
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const fs = require('fs');
+const { importCsvFile } = require('../data-import');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const kg = args.includes('--kg');
+  const namesIndex = args.indexOf('--names');
+  const namesFile = namesIndex >= 0 ? args[namesIndex + 1] : null;
+  const files = args.filter((a, i) => a !== '--kg' && (namesIndex < 0 || (i !== namesIndex && i !== namesIndex + 1)));
+
+  if (files.length === 0 || (namesIndex >= 0 && !namesFile)) {
+    console.error('Usage: node scripts/import-history.js [--kg] [--names names.json] <export.csv> ...');
+    console.error('  --kg     Strong weights are in kg (only needed for older exports without a unit)');
+    process.exit(1);
+  }
+
+  const names = namesFile ? JSON.parse(fs.readFileSync(namesFile, 'utf8')) : {};
+
+  for (const file of files) {
+    console.log(`\nImporting ${file}...`);
+    const result = await importCsvFile(file, { kg, names });
+    console.log(`${result.format}: ${result.imported} imported, ${result.skipped} already imported, ${result.ignored} rows without usable data`);
+  }
+
+  console.log('\nDone.');
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
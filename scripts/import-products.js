@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Import Open Food Facts Products
+ *
+ * Loads barcodes with per-100g calories and macros into Postgres so barcode
+ * photos can be logged with exact values instead of a Gemini estimate.
+ * Download a dump from https://world.openfoodfacts.org/data first (the JSONL
+ * or the tab-separated CSV export, gzipped or not).
+ *
+ * Usage:
+ *   node scripts/import-products.js openfoodfacts-products.jsonl.gz
+ *   node scripts/import-products.js --country united-states en.openfoodfacts.org.products.csv.gz
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const { importProductsFile, closeProductsPool } = require('../food-products');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const countryIndex = args.indexOf('--country');
+  const country = countryIndex >= 0 ? args[countryIndex + 1] : null;
+  const files = args.filter((a, i) => countryIndex < 0 || (i !== countryIndex && i !== countryIndex + 1));
+
+  if (files.length === 0 || (countryIndex >= 0 && !country)) {
+    console.error('Usage: node scripts/import-products.js [--country united-states] <dump.jsonl|dump.csv>[.gz] ...');
+    process.exit(1);
+  }
+
+  for (const file of files) {
+    console.log(`\nImporting ${file}...`);
+    await importProductsFile(file, country);
+  }
+
+  await closeProductsPool();
+  console.log('\nDone.');
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -7,10 +7,22 @@ const twilio = require('twilio');
 const { handleSMS } = require('./sms-agent');
 
 // Regex-based fallback (used when Claude API is unavailable)
-const MTABusAPI = require('./mta-api');
+const { MTABusAPI, MTAServiceAlertsAPI, getArrivalsCacheStats } = require('./mta-api');
+const MTASubwayAPI = require('./subway-api');
+const CitiBikeAPI = require('./citibike-api');
+const { getArrivalsWithScheduleFallback, getMultiStopArrivals } = require('./gtfs-schedule');
 const GeminiCalorieAPI = require('./gemini-api');
 const { MessageParser } = require('./message-handler');
-const { addCalories, subtractCalories, getTodayTotal, resetToday, getTarget, setTarget } = require('./calorie-tracker');
+const { parseSharedLocation, isLocationMediaType } = require('./shared-location');
+const { logEstimate, getTodayEntries, subtractCalories, getTodayTotals, resetToday, undoLastEntry, editEntry, describeEntry, formatFoodLog, getTarget, setTarget, getMacroTargets, setMacroTarget, setWeightGoal, formatMacroProgress } = require('./calorie-tracker');
+const { getNutritionReport, formatNutritionReport, sendWeeklyDigest } = require('./nutrition-report');
+const { analyzeFoodPhoto, getPendingServings, logPendingServings, formatServingsLogged } = require('./food-products');
+const { logWeight, getWeighIns, getWeightStatus, formatWeightStatus, formatWeighIns } = require('./weight-tracker');
+const { proposeTarget, confirmTarget, checkGoal, describeGoal, formatTargetProposal } = require('./adaptive-target');
+const { getTodayKey, resolveLogDate, describeLogDate } = require('./log-date');
+const { needsClarification, isClarificationAnswer, savePendingClarification, getPendingClarification, resolveClarification, formatClarificationQuestion } = require('./pending-clarifications');
+const { buildExport, createExportLinks, verifyExportLink, formatExportLinks } = require('./data-export');
+const { saveMeal, listMeals, findMeal, deleteMeal, mealToEstimate, describeMeal, formatMeals } = require('./saved-meals');
 const {
   savePendingRide,
   getPendingRide,
@@ -23,6 +35,19 @@ const {
   clearPendingAuth
 } = require('./uber-pending');
 const { getUberQuote, confirmUberRide, getUberStatus, cancelUberRide } = require('./uber-agent');
+const { saveFavorite, getFavorite, listFavorites, setWalkMinutes, deleteFavorite, formatFavorites } = require('./bus-favorites');
+const { adviseDeparture, cancelLeaveReminder } = require('./leave-advisor');
+const { startReliabilityReconciler, getReliability, formatReliability } = require('./bus-reliability');
+const { createWatch, cancelWatches, describeWatch, startBusWatcher, DEFAULT_ALERT_MINUTES } = require('./bus-watcher');
+const {
+  createSchedule,
+  listSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+  startBusSchedules,
+  describeSchedule,
+  formatSchedules
+} = require('./bus-schedules');
 
 const app = express();
 app.use(express.urlencoded({ extended: false }));
@@ -96,6 +121,18 @@ app.post('/sms', async (req, res) => {
     }
   }
 
+  // Shared location: a vCard pin attachment or a maps link in the text
+  let location = parseSharedLocation(incomingMessage);
+  if (!location && numMedia > 0 && isLocationMediaType(req.body.MediaContentType0)) {
+    try {
+      const media = await fetchTwilioMedia(req.body.MediaUrl0);
+      location = parseSharedLocation(media.buffer.toString('utf8'));
+    } catch (err) {
+      console.error('Failed to fetch MMS location:', err.message);
+    }
+  }
+  if (location) console.log(`Shared location: ${location.lat},${location.lon}`);
+
   try {
     // Primary path: Claude agent routing
     const result = await handleSMS({
@@ -104,6 +141,7 @@ app.post('/sms', async (req, res) => {
       twilioNumber,
       imageBuffer,
       imageMediaType,
+      location,
       sendAsyncSMS
     });
 
@@ -112,7 +150,7 @@ app.post('/sms', async (req, res) => {
     // Fallback: regex-based routing (when Claude API is unavailable)
     console.error('[AGENT FALLBACK] Agent failed, using regex:', agentError.message);
     try {
-      const responseText = await handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, imageMediaType);
+      const responseText = await handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, imageMediaType, location);
 
       // handleWithRegex returns null for async operations (already sent TwiML)
       if (responseText === null) {
@@ -137,13 +175,33 @@ app.post('/sms', async (req, res) => {
   res.status(200).send(twiml.toString());
 });
 
+/**
+ * Log an estimate after its clarifying question was answered (or skipped)
+ * @param {Object} clarified - From resolveClarification()
+ * @returns {Promise<string>} SMS reply
+ */
+async function logClarified(geminiAPI, clarified) {
+  if (clarified.skipped) {
+    return `Skipped, nothing logged (~${clarified.calorieData.totalCalories} cal guess).`;
+  }
+  const [logged, target, macroTargets] = await Promise.all([
+    logEstimate(clarified.calorieData, clarified.source, clarified.description, clarified.date), getTarget(), getMacroTargets()
+  ]);
+  return `${geminiAPI.formatAsText(clarified.calorieData)}\n\n${totalLabel(logged.date)}: ${logged.total} / ${target} cal\n${formatMacroProgress(logged.totals, macroTargets)}`;
+}
+
+// "Daily total" for today, "Total for yesterday" after logging to a past day
+function totalLabel(date) {
+  return date === getTodayKey() ? 'Daily total' : `Total for ${describeLogDate(date)}`;
+}
+
 /**
  * Fallback handler using regex-based routing (original MessageParser logic)
  * Used when the Claude agent is unavailable.
  * Returns response text for sync operations, or null for async operations
  * (async operations send their own TwiML via early return patterns).
  */
-async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, imageMediaType) {
+async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, imageMediaType, location = null) {
   const incomingMessage = req.body.Body || '';
   const numMedia = parseInt(req.body.NumMedia || '0', 10);
 
@@ -151,7 +209,7 @@ async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, image
   const geminiAPI = new GeminiCalorieAPI(process.env.GEMINI_API_KEY);
   const parser = new MessageParser();
 
-  const parsed = parser.parse(incomingMessage, numMedia > 0, req.body.MediaContentType0);
+  const parsed = parser.parse(incomingMessage, numMedia > 0, req.body.MediaContentType0, location);
 
   switch (parsed.type) {
     case 'help':
@@ -163,8 +221,8 @@ async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, image
     }
 
     case 'total': {
-      const [total, target] = await Promise.all([getTodayTotal(), getTarget()]);
-      return `Today's total: ${total} / ${target} cal`;
+      const [totals, target, macroTargets] = await Promise.all([getTodayTotals(), getTarget(), getMacroTargets()]);
+      return `Today's total: ${totals.calories} / ${target} cal\n${formatMacroProgress(totals, macroTargets)}`;
     }
 
     case 'subtract': {
@@ -172,11 +230,99 @@ async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, image
       return `Subtracted ${parsed.amount} cal.\n\nDaily total: ${newTotal} / ${target} cal`;
     }
 
+    case 'nutrition_report': {
+      return formatNutritionReport(await getNutritionReport(parsed.days));
+    }
+
+    case 'meal_save': {
+      let calories = parsed.calories;
+      let macros = null;
+      if (calories == null) {
+        const calorieData = await geminiAPI.estimateCalories(parsed.description);
+        if (!calorieData.success || !calorieData.totalCalories) {
+          return `Couldn't estimate "${parsed.description}". Add the calories at the end, e.g. "save meal ${parsed.name} = ${parsed.description} 320".`;
+        }
+        calories = calorieData.totalCalories;
+        macros = calorieData.macros;
+      }
+      const meal = await saveMeal(fromNumber, parsed.name, parsed.description, calories, macros);
+      return `Saved meal ${describeMeal(meal)}. Text "${meal.name}" to log it.`;
+    }
+
+    case 'meal_list': {
+      return formatMeals(await listMeals(fromNumber));
+    }
+
+    case 'meal_delete': {
+      const deleted = await deleteMeal(fromNumber, parsed.name);
+      return deleted ? `Deleted saved meal "${parsed.name}".` : `No saved meal named "${parsed.name}". Text "meals" to see yours.`;
+    }
+
+    case 'list_food': {
+      return formatFoodLog(await getTodayEntries());
+    }
+
+    case 'undo_food': {
+      const [undone, target] = await Promise.all([undoLastEntry(), getTarget()]);
+      if (!undone) return 'Nothing logged today to undo.';
+      return `Removed ${describeEntry(undone.entry)} (${undone.entry.calories} cal).\n\nDaily total: ${undone.total} / ${target} cal`;
+    }
+
+    case 'edit_food': {
+      const [edited, target] = await Promise.all([editEntry(parsed.entry, parsed.calories), getTarget()]);
+      if (!edited) return `No entry ${parsed.entry} today. Text "list today" to see entry numbers.`;
+      return `Entry ${parsed.entry} (${describeEntry(edited.entry)}): ${edited.previousCalories} -> ${edited.entry.calories} cal.\n\nDaily total: ${edited.total} / ${target} cal`;
+    }
+
+    case 'set_macro_target': {
+      const newTarget = await setMacroTarget(parsed.macro, parsed.amount);
+      return newTarget
+        ? `Daily ${parsed.macro} target set to ${newTarget}g.`
+        : `Daily ${parsed.macro} target cleared.`;
+    }
+
     case 'set_target': {
       const newTarget = await setTarget(parsed.amount);
       return `Daily target set to ${newTarget} cal.`;
     }
 
+    case 'log_weight': {
+      if (parsed.weight < 50 || parsed.weight > 700) {
+        return 'Weight should be in lbs, e.g. "weight 182.4".';
+      }
+      const status = await logWeight(parsed.weight);
+      return `Logged ${formatWeightStatus(status)}`;
+    }
+
+    case 'weight_status': {
+      const [status, weighIns] = await Promise.all([getWeightStatus(), getWeighIns()]);
+      if (!status) return formatWeightStatus(status);
+      return `${formatWeightStatus(status)}\n\n${formatWeighIns(weighIns)}`;
+    }
+
+    case 'set_weight_goal': {
+      const goalError = checkGoal(parsed.lbsPerWeek);
+      if (goalError) return goalError;
+      const goal = await setWeightGoal(parsed.lbsPerWeek);
+      const proposal = await proposeTarget(fromNumber);
+      return `Goal set: ${describeGoal(goal)}.\n\n${formatTargetProposal(proposal)}`;
+    }
+
+    case 'target_proposal': {
+      const proposal = await proposeTarget(fromNumber);
+      return formatTargetProposal(proposal);
+    }
+
+    case 'confirm_target': {
+      const confirmed = await confirmTarget(fromNumber);
+      if (!confirmed) return 'No suggested target to confirm (they expire after a day). Text "tdee" for a new one.';
+      return `Daily target changed from ${confirmed.previous} to ${confirmed.target} cal.`;
+    }
+
+    case 'export_data': {
+      return formatExportLinks(createExportLinks());
+    }
+
     case 'suggestions': {
       return await geminiAPI.getSuggestions(parsed.calories, parsed.descriptors);
     }
@@ -185,27 +331,181 @@ async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, image
       if (!imageBuffer) {
         return 'Could not process image. Please try again.';
       }
-      const calorieData = await geminiAPI.estimateCaloriesFromImage(
-        imageBuffer, imageMediaType, parsed.textContext
-      );
-      let text = geminiAPI.formatAsText(calorieData);
-      if (calorieData.success && calorieData.totalCalories) {
-        const [dailyTotal, target] = await Promise.all([addCalories(calorieData.totalCalories), getTarget()]);
-        text += `\n\nDaily total: ${dailyTotal} / ${target} cal`;
+      // Nutrition labels and known barcodes ask for servings; other photos are estimated
+      const photo = await analyzeFoodPhoto({
+        geminiAPI, phone: fromNumber, imageBuffer, mimeType: imageMediaType, textContext: parsed.textContext
+      });
+      if (photo.reply && !photo.logged) return photo.reply;
+
+      // Unsure estimates wait for an answer before anything is logged
+      if (!photo.logged && needsClarification(photo.calorieData)) {
+        await savePendingClarification(fromNumber, photo.calorieData, 'photo', parsed.textContext);
+        return formatClarificationQuestion(photo.calorieData);
+      }
+
+      let text = photo.reply;
+      let logged = photo.logged;
+      if (!logged) {
+        text = geminiAPI.formatAsText(photo.calorieData);
+        if (photo.calorieData.success && photo.calorieData.totalCalories) {
+          logged = await logEstimate(photo.calorieData, 'photo', parsed.textContext);
+        }
+      }
+      if (logged) {
+        const [target, macroTargets] = await Promise.all([getTarget(), getMacroTargets()]);
+        text += `\n\nDaily total: ${logged.total} / ${target} cal\n${formatMacroProgress(logged.totals, macroTargets)}`;
       }
       return text;
     }
 
+    case 'servings_reply': {
+      // A bare "2" only means servings while a label is waiting for a count
+      if (!(await getPendingServings(fromNumber))) {
+        // It may answer a follow-up like "How many eggs?" instead
+        const pending = await getPendingClarification(fromNumber);
+        if (pending && isClarificationAnswer(incomingMessage, pending)) {
+          return logClarified(geminiAPI, await resolveClarification(geminiAPI, fromNumber, incomingMessage, pending));
+        }
+        return 'No nutrition label or question waiting for that number. Send a photo of the label or barcode first.';
+      }
+      const result = await logPendingServings(fromNumber, parsed.servings);
+      if (!result) return 'That nutrition label expired. Send the photo again.';
+      const [target, macroTargets] = await Promise.all([getTarget(), getMacroTargets()]);
+      return `${formatServingsLogged(result)}\n\n${totalLabel(result.logged.date)}: ${result.logged.total} / ${target} cal\n${formatMacroProgress(result.logged.totals, macroTargets)}`;
+    }
+
     case 'refresh':
       return 'Refresh not available. Please send your stop code again.';
 
+    case 'location_query': {
+      const nearby = await mtaAPI.getNearbyStopsWithArrivals(parsed.lat, parsed.lon);
+      return mtaAPI.formatNearbyStops(nearby);
+    }
+
     case 'stop_query': {
-      const arrivalData = await mtaAPI.getStopArrivals(parsed.stopCode, parsed.route);
-      return mtaAPI.formatAsText(arrivalData) + '\n\nText "how" for all commands.';
+      const arrivalData = await getArrivalsWithScheduleFallback(mtaAPI, parsed.stopCode, parsed.route, {
+        maxVisits: parsed.maxResults,
+        destination: parsed.destination
+      });
+      return mtaAPI.formatAsText(arrivalData, parsed.maxResults, { verbose: parsed.verbose }) + '\n\nText "how" for all commands.';
     }
 
-    case 'service_changes':
-      return `Service changes for ${parsed.route}: Feature coming soon. Check mta.info for current alerts.`;
+    case 'stop_pair_query': {
+      const arrivalData = await mtaAPI.getStopPairArrivals(parsed.route, parsed.from, parsed.to);
+      const text = mtaAPI.formatAsText(arrivalData, parsed.maxResults, { verbose: parsed.verbose });
+      return arrivalData.stopCode ? `${text}\n\nStop code: ${arrivalData.stopCode}` : text;
+    }
+
+    case 'multi_stop_query': {
+      const arrivalData = await getMultiStopArrivals(mtaAPI, parsed.queries, { maxVisits: parsed.maxResults });
+      return mtaAPI.formatAsText(arrivalData, parsed.maxResults, { verbose: parsed.verbose });
+    }
+
+    case 'stop_search': {
+      const search = await mtaAPI.searchStops(parsed.location, parsed.route);
+      if (!search.found || search.ambiguous) {
+        const candidates = mtaAPI.formatStopCandidates(search);
+        return search.ambiguous ? `Which stop?\n\n${candidates}\n\nText the stop code for arrivals.` : candidates;
+      }
+      const arrivalData = await mtaAPI.getStopArrivals(search.candidates[0].code, parsed.route);
+      return mtaAPI.formatAsText(arrivalData) + `\n\nStop code: ${search.candidates[0].code}`;
+    }
+
+    case 'favorite_save': {
+      const favorite = await saveFavorite(fromNumber, parsed.nickname, parsed.stopCode, parsed.route);
+      return `Saved "${favorite.nickname}" as stop ${favorite.stopCode}${favorite.route ? ` ${favorite.route}` : ''}.\n\nText "bus ${favorite.nickname}" for arrivals.`;
+    }
+
+    case 'favorite_list':
+      return formatFavorites(await listFavorites(fromNumber));
+
+    case 'favorite_delete': {
+      const deleted = await deleteFavorite(fromNumber, parsed.nickname);
+      return deleted ? `Removed saved stop "${parsed.nickname}".` : `No saved stop named "${parsed.nickname}".`;
+    }
+
+    case 'favorite_query': {
+      const favorite = await getFavorite(fromNumber, parsed.nickname);
+      if (!favorite) {
+        return `No saved stop named "${parsed.nickname}". Text "save ${parsed.nickname} 308209 B63" to add it.`;
+      }
+      const arrivalData = await mtaAPI.getStopArrivals(favorite.stopCode, favorite.route);
+      return mtaAPI.formatAsText(arrivalData);
+    }
+
+    case 'walk_set': {
+      const favorite = await setWalkMinutes(fromNumber, parsed.nickname, parsed.minutes);
+      return favorite
+        ? `Saved a ${favorite.walkMinutes} min walk to "${favorite.nickname}". Text "leave for ${favorite.nickname}" to know when to head out.`
+        : `No saved stop named "${parsed.nickname}". Text "save ${parsed.nickname} 308209 B63" to add it.`;
+    }
+
+    case 'leave_query':
+      return adviseDeparture({
+        phone: fromNumber,
+        twilioNumber,
+        stopCode: parsed.stopCode,
+        route: parsed.route,
+        nickname: parsed.nickname,
+        walkMinutes: parsed.walkMinutes,
+        remind: parsed.remind,
+        sendSMS: sendAsyncSMS
+      });
+
+    case 'leave_off':
+      return cancelLeaveReminder(fromNumber) ? 'Cancelled your leave reminder.' : 'No leave reminder set.';
+
+    case 'alert_set': {
+      const watch = await createWatch(fromNumber, twilioNumber, parsed.stopCode, parsed.route, parsed.minutes || DEFAULT_ALERT_MINUTES);
+      return `Alert set. ${describeWatch(watch)}`;
+    }
+
+    case 'alert_off': {
+      const cancelled = await cancelWatches(fromNumber);
+      return cancelled > 0 ? `Cancelled ${cancelled} bus alert${cancelled > 1 ? 's' : ''}.` : 'No active bus alerts.';
+    }
+
+    case 'schedule_create': {
+      const created = await createSchedule(
+        fromNumber, twilioNumber, parsed.days, parsed.time, parsed.stopCode, parsed.route, sendAsyncSMS
+      );
+      return created.success ? `Scheduled: ${describeSchedule(created.schedule)}` : created.error;
+    }
+
+    case 'schedule_list':
+      return formatSchedules(await listSchedules(fromNumber));
+
+    case 'schedule_pause':
+    case 'schedule_resume': {
+      const schedule = await setSchedulePaused(fromNumber, parsed.scheduleId, parsed.type === 'schedule_pause', sendAsyncSMS);
+      return schedule ? `${parsed.type === 'schedule_pause' ? 'Paused' : 'Resumed'}: ${describeSchedule(schedule)}` : `No schedule #${parsed.scheduleId}.`;
+    }
+
+    case 'schedule_delete': {
+      const deleted = await deleteSchedule(fromNumber, parsed.scheduleId);
+      return deleted ? `Deleted schedule #${parsed.scheduleId}.` : `No schedule #${parsed.scheduleId}.`;
+    }
+
+    case 'subway_query': {
+      const subwayAPI = new MTASubwayAPI();
+      const subwayData = await subwayAPI.getStationArrivals(parsed.line, parsed.station);
+      return subwayAPI.formatAsText(subwayData);
+    }
+
+    case 'bike_query': {
+      const citiBikeAPI = new CitiBikeAPI();
+      const bikeData = await citiBikeAPI.findNear(parsed.location, parsed.want);
+      return citiBikeAPI.formatAsText(bikeData);
+    }
+
+    case 'reliability':
+      return formatReliability(await getReliability(parsed.route, parsed.stopCode));
+
+    case 'service_changes': {
+      const alertsAPI = new MTAServiceAlertsAPI(process.env.MTA_API_KEY);
+      const alertData = await alertsAPI.getRouteAlerts(parsed.route);
+      return alertsAPI.formatAsText(alertData);
+    }
 
     case 'uber_quote': {
       // Fire async, return ack
@@ -337,11 +637,34 @@ async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, image
     }
 
     case 'food_query': {
-      const calorieData = await geminiAPI.estimateCalories(parsed.foodDescription);
+      // Saved meals are logged as-is, without asking Gemini, even while a question is pending
+      const meal = await findMeal(fromNumber, parsed.foodDescription);
+
+      // A reply to "how was it cooked?" and the like refines the held estimate;
+      // new food ("banana", "2 eggs and toast", "yesterday pizza") is logged on its own
+      if (!meal && !parsed.date) {
+        const pending = await getPendingClarification(fromNumber);
+        if (pending && isClarificationAnswer(parsed.foodDescription, pending)) {
+          return logClarified(geminiAPI, await resolveClarification(geminiAPI, fromNumber, parsed.foodDescription, pending));
+        }
+      }
+
+      const { date, error } = resolveLogDate(parsed.date);
+      if (error) return error;
+
+      const calorieData = meal
+        ? mealToEstimate(meal)
+        : await geminiAPI.estimateCalories(parsed.foodDescription);
+      if (needsClarification(calorieData)) {
+        await savePendingClarification(fromNumber, calorieData, 'text', parsed.foodDescription, date);
+        return formatClarificationQuestion(calorieData);
+      }
       let text = geminiAPI.formatAsText(calorieData);
       if (calorieData.success && calorieData.totalCalories) {
-        const [dailyTotal, target] = await Promise.all([addCalories(calorieData.totalCalories), getTarget()]);
-        text += `\n\nDaily total: ${dailyTotal} / ${target} cal`;
+        const [logged, target, macroTargets] = await Promise.all([
+          logEstimate(calorieData, meal ? 'saved' : 'text', parsed.foodDescription, date), getTarget(), getMacroTargets()
+        ]);
+        text += `\n\n${totalLabel(logged.date)}: ${logged.total} / ${target} cal\n${formatMacroProgress(logged.totals, macroTargets)}`;
       }
       return text;
     }
@@ -352,9 +675,31 @@ async function handleWithRegex(req, fromNumber, twilioNumber, imageBuffer, image
   }
 }
 
+/**
+ * CSV download, authenticated by the signed link texted for "export"
+ */
+app.get('/export/:kind.csv', async (req, res) => {
+  const { kind } = req.params;
+  if (!verifyExportLink(kind, req.query.expires, req.query.sig)) {
+    return res.status(403).send('Link is invalid or expired. Text "export" for a new one.');
+  }
+
+  try {
+    const start = Date.now();
+    const { filename, csv } = await buildExport(kind);
+    console.log(`[TIMING] export-${kind}: ${Date.now() - start}ms`);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(filename);
+    res.send(csv);
+  } catch (error) {
+    console.error('[EXPORT] Failed:', error.message);
+    res.status(500).send('Export failed.');
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), mtaCache: getArrivalsCacheStats() });
 });
 
 // Start server
@@ -379,4 +724,33 @@ app.listen(PORT, () => {
   }, { timezone: 'America/New_York' });
 
   console.log('Morning workout scheduled for 8:00 AM ET');
+
+  // Optional Sunday-evening nutrition digest
+  if (process.env.WEEKLY_DIGEST === 'true') {
+    cron.schedule('0 19 * * 0', () => {
+      const toNumber = process.env.MY_PHONE_NUMBER;
+      const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+      if (!toNumber || !fromNumber) {
+        console.log('[CRON] Skipping weekly digest - MY_PHONE_NUMBER or TWILIO_PHONE_NUMBER not set');
+        return;
+      }
+      console.log('[CRON] Sending weekly nutrition digest...');
+      sendWeeklyDigest(sendAsyncSMS, toNumber, fromNumber)
+        .catch(err => console.error('[CRON] Weekly digest failed:', err.message));
+    }, { timezone: 'America/New_York' });
+
+    console.log('Weekly nutrition digest scheduled for Sundays 7:00 PM ET');
+  }
+
+  // Poll MTA for "alert 308209 B63 5" watches
+  startBusWatcher(sendAsyncSMS)
+    .catch(err => console.error('[WATCHER] Failed to start:', err.message));
+
+  // Rehydrate user-defined recurring arrival pushes
+  startBusSchedules(sendAsyncSMS)
+    .catch(err => console.error('[CRON] Failed to load bus schedules:', err.message));
+
+  // Turn recorded predictions into inferred arrivals for "reliability B63 308209"
+  startReliabilityReconciler()
+    .catch(err => console.error('[RELIABILITY] Table setup failed, retrying each pass:', err.message));
 });
@@ -0,0 +1,75 @@
+// Phones share a dropped pin as a vCard (iOS "Location.loc.vcf"), a geo: URI,
+// or a maps link pasted into the message. All of them carry coordinates.
+const LOCATION_MEDIA_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory', 'text/plain'];
+
+// Query parameters that hold "lat,lon" in Apple and Google Maps links
+const COORDINATE_PARAMS = ['ll', 'q', 'sll', 'daddr', 'saddr', 'center', 'query', 'destination'];
+
+const COORDINATE_PAIR = /(-?\d{1,3}\.\d+)\s*[,;]\s*(-?\d{1,3}\.\d+)/;
+
+/**
+ * Whether an MMS attachment type might hold a shared location
+ */
+function isLocationMediaType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return LOCATION_MEDIA_TYPES.includes(type);
+}
+
+function toLocation(lat, lon, label = null) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { lat: latitude, lon: longitude, label };
+}
+
+/**
+ * Pull coordinates out of a maps URL
+ * e.g., https://maps.apple.com/?ll=40.6782,-73.9442&q=Dropped%20Pin
+ *       https://www.google.com/maps/@40.6782,-73.9442,17z
+ */
+function parseMapsUrl(urlText) {
+  let url;
+  try {
+    url = new URL(urlText);
+  } catch (error) {
+    return null;
+  }
+
+  for (const param of COORDINATE_PARAMS) {
+    const match = (url.searchParams.get(param) || '').match(COORDINATE_PAIR);
+    if (match) {
+      const label = url.searchParams.get('q');
+      return toLocation(match[1], match[2], label && !COORDINATE_PAIR.test(label) ? label : null);
+    }
+  }
+
+  // Google Maps puts the map center in the path: /maps/@lat,lon,zoom or /place/.../@lat,lon
+  const pathMatch = url.pathname.match(/@(-?\d{1,3}\.\d+),(-?\d{1,3}\.\d+)/);
+  return pathMatch ? toLocation(pathMatch[1], pathMatch[2]) : null;
+}
+
+/**
+ * Find a shared location in message text or a vCard attachment
+ * @param {string} text - SMS body or attachment contents
+ * @returns {Object|null} { lat, lon, label } or null if no location is present
+ */
+function parseSharedLocation(text) {
+  if (!text) return null;
+
+  // vCard / geo: URI: "GEO:40.6782;-73.9442" or "geo:40.6782,-73.9442"
+  const geoMatch = text.match(/\bgeo:\s*(-?\d{1,3}\.\d+)\s*[,;]\s*(-?\d{1,3}\.\d+)/i);
+  if (geoMatch) return toLocation(geoMatch[1], geoMatch[2]);
+
+  // vCard item URLs are "item1.URL;type=pref:https://maps.apple.com/..."; also plain links in a text
+  const urls = text.match(/https?:\/\/[^\s"<>]+/g) || [];
+  for (const url of urls) {
+    if (!/maps\.apple\.com|google\.[a-z.]+\/maps|maps\.google\./i.test(url)) continue;
+    const location = parseMapsUrl(url.replace(/\\([,;:])/g, '$1'));
+    if (location) return location;
+  }
+
+  return null;
+}
+
+module.exports = { parseSharedLocation, isLocationMediaType };
@@ -5,9 +5,20 @@ const MODEL = 'claude-sonnet-4-5-20250929';
 const MAX_AGENT_ITERATIONS = 10;
 
 // Import existing backends (used inside tool handlers)
-const MTABusAPI = require('./mta-api');
+const { MTABusAPI, MTAServiceAlertsAPI } = require('./mta-api');
+const MTASubwayAPI = require('./subway-api');
+const CitiBikeAPI = require('./citibike-api');
+const { getArrivalsWithScheduleFallback, getMultiStopArrivals } = require('./gtfs-schedule');
 const GeminiCalorieAPI = require('./gemini-api');
-const { addCalories, subtractCalories, getTodayTotal, resetToday, getTarget, setTarget } = require('./calorie-tracker');
+const { logEstimate, getTodayEntries, subtractCalories, getTodayTotals, resetToday, undoLastEntry, editEntry, describeEntry, formatFoodLog, getTarget, setTarget, getMacroTargets, setMacroTarget, setWeightGoal, formatMacroProgress } = require('./calorie-tracker');
+const { getNutritionReport, formatNutritionReport } = require('./nutrition-report');
+const { analyzeFoodPhoto, logPendingServings, formatServingsLogged } = require('./food-products');
+const { logWeight, getWeighIns, getWeightStatus, formatWeightStatus, formatWeighIns } = require('./weight-tracker');
+const { proposeTarget, confirmTarget, checkGoal, describeGoal, formatTargetProposal } = require('./adaptive-target');
+const { getTodayKey, resolveLogDate, describeLogDate } = require('./log-date');
+const { needsClarification, savePendingClarification, resolveClarification, formatClarificationQuestion } = require('./pending-clarifications');
+const { createExportLinks, formatExportLinks } = require('./data-export');
+const { saveMeal, listMeals, findMeal, deleteMeal, mealToEstimate, describeMeal, formatMeals } = require('./saved-meals');
 const {
   savePendingRide,
   getPendingRide,
@@ -22,10 +33,15 @@ const {
 const { getUberQuote, confirmUberRide, getUberStatus, cancelUberRide } = require('./uber-agent');
 const { logSets, getExerciseCaloriesToday, getWorkoutHistory, updateExercise, deleteExercise, resetWorkoutHistory, savePlan, getPlan } = require('./workout-tracker');
 const { saveMessage, getRecentMessages } = require('./conversation-history');
+const { saveFavorite, getFavorite, listFavorites, setWalkMinutes, deleteFavorite, formatFavorites } = require('./bus-favorites');
+const { adviseDeparture, cancelLeaveReminder } = require('./leave-advisor');
+const { getReliability, formatReliability } = require('./bus-reliability');
+const { createWatch, cancelWatches, describeWatch, DEFAULT_ALERT_MINUTES } = require('./bus-watcher');
+const { createSchedule, listSchedules, setSchedulePaused, deleteSchedule, describeSchedule, formatSchedules } = require('./bus-schedules');
 
 // --- SYSTEM PROMPT ---
 const SYSTEM_PROMPT = `You are TextPal, a personal SMS assistant. You help users via text message with:
-1. NYC bus arrival times
+1. NYC bus and subway arrival times, Citi Bike availability
 2. Calorie tracking
 3. Uber rides
 4. General questions
@@ -37,15 +53,63 @@ Bus Stops:
 - A 6-digit number (e.g., "308209") is an MTA bus stop code. Call lookup_bus_arrivals.
 - May include a route filter after the code: "308209 B63"
 - May have prefixes like "bus 308209", "stop 308209", "check 308209"
+- Several stops or routes in one message ("308209 B63, 308211 B61", "308209 B63/B61") -> Call lookup_bus_arrivals ONCE with stops (one entry per stop/route pair)
+- "308209 to Bay Ridge", "next B63 at 308209 toward Atlantic" -> Call lookup_bus_arrivals with destination
+- "B63 from 5 Av/Union to Atlantic" -> Call lookup_bus_stop_pair with route, from, and to
+- "308209 next 5", "show me 6 buses at 308209" -> Call lookup_bus_arrivals with max_results
+- "308209 B63 details", "which bus is it?" -> Call lookup_bus_arrivals with verbose true to include vehicle numbers
+- Replies note crowding and layovers ("crowded", "departs terminal at 8:12"); keep those notes when relaying arrivals
+- An intersection or landmark instead of a code (e.g., "Flatbush & 7th Ave B41", "bus at Atlantic Terminal") -> Call find_bus_stops with the location and any route.
+  - If it returns one stop, it includes arrivals. Reply with them.
+  - If it returns "ambiguous": true, ask ONE short question to pick a stop, e.g. "Which side? 1) Flatbush Av/7 Av northbound 2) ... southbound". When the user answers, call lookup_bus_arrivals with that stop's code.
+- A shared location pin or maps link (the message has a [Shared location: lat,lon] note) -> Call find_stops_near_location, unless the text clearly asks for something else (e.g., "bikes near here" -> lookup_citibike with the coordinates as location)
+- Saved stops: "save home 308209 B63" or "save 308209 as work" -> Call manage_bus_favorites with action "save"
+- "bus home", "work bus", "when's my bus home" -> Call lookup_bus_arrivals with favorite set to the nickname
+- "favorites" or "my stops" -> Call manage_bus_favorites with action "list"
+- "forget home" or "delete favorite work" -> Call manage_bus_favorites with action "delete"
+- "walk home 6", "it's a 6 minute walk to work" -> Call manage_bus_favorites with action "set_walk"
+- "when should I leave for home", "leave for 308209" -> Call plan_bus_departure. Add remind true for "remind me" / "text me when to go". "leave off" -> action "cancel_reminder"
+- "alert 308209 B63 5", "text me when the B63 is 5 min from 308209" -> Call manage_bus_alert with action "set" (minutes defaults to 5)
+- "alert off", "cancel my bus alert" -> Call manage_bus_alert with action "cancel"
+- "every weekday 8:10 send 308209 B63", "text me 308209 every Monday at 7:45am" -> Call manage_bus_schedule with action "create"
+- "schedules", "my bus schedules" -> Call manage_bus_schedule with action "list"
+- "pause schedule 2", "resume schedule 2", "delete schedule 2" -> Call manage_bus_schedule with that action and schedule_id
+- "c B63", "B63 detours", "is the B63 rerouted?" -> Call get_service_alerts with the route
+- "reliability B63 308209", "can I trust the B63 times at 308209?" -> Call get_bus_reliability
+
+Subway:
+- A line plus a station (e.g., "F at Jay St", "next 6 train at 14 St uptown", "L bedford") -> Call lookup_subway_arrivals
+- Pass direction only if the user says uptown/northbound (N) or downtown/southbound (S)
+
+Citi Bike:
+- "bikes near 308209", "any citi bikes at Atlantic Terminal?" -> Call lookup_citibike with want "bikes"
+- "docks near Union Sq", "where can I dock near 308209" -> Call lookup_citibike with want "docks"
+- A 6-digit number here is a bus stop code; pass it as the location as-is
 
 Food & Calorie Tracking:
 - Text descriptions of food eaten (e.g., "2 eggs and toast", "grande latte", "chicken parm with pasta") should be logged. Call estimate_calories.
 - Photos of food (image attached) should be logged. Call estimate_calories_from_image.
 - If the user sends BOTH a food photo AND a text description, call estimate_calories_from_image with the text as text_context. Do NOT also call estimate_calories separately.
+- Photos of nutrition labels or barcodes also go to estimate_calories_from_image. If it asks "How many servings?", reply with exactly that question; when the user answers with a number ("2", "half"), call log_label_servings.
+- When an estimate is uncertain, estimate_calories / estimate_calories_from_image return a follow-up question instead of logging (e.g., "How was the chicken cooked?"). Reply with that question as-is. The user's next message about that food (the answer, "log it", or "skip") goes to answer_food_question verbatim; don't call estimate_calories for it. A different food ("banana", "2 eggs and toast") or a saved meal name is new: log it with estimate_calories and leave the question open.
+- Food or exercise from an earlier day ("yesterday I had pizza at 11pm", "forgot to log Monday's squats") -> pass date ("yesterday", "monday", or YYYY-MM-DD; today's date is at the end of this prompt) and leave the date words out of food_description. Late-night food counts for the day the user says. The reply names the day whose total changed; keep that in your answer.
 - "total" -> Call get_calorie_status to show today's total
 - "sub 50" or "subtract 50" -> Call update_calories with action "subtract" and amount 50
 - "reset calories" -> Call update_calories with action "reset"
+- "list today" or "what have I eaten today" -> Call manage_food_log with action "list"
+- "undo" -> Call manage_food_log with action "undo"
+- "edit entry 3 to 400" -> Call manage_food_log with action "edit", entry_number 3, calories 400. If the user corrects an item by name ("the pasta was more like 600"), list first to find its number.
 - "target 2000" -> Call update_calories with action "set_target" and amount 2000
+- "target protein 150" -> Call update_calories with action "set_macro_target", macro "protein", amount 150 ("target protein off" -> amount 0)
+- "weight 182.4" -> Call log_weight. "weight" / "weight trend" -> Call get_weight_trend
+- "goal lose 1 lb/week" -> Call adaptive_calorie_target with action "set_goal", lbs_per_week -1 ("goal maintain" -> 0, "goal gain 0.5" -> 0.5)
+- "tdee" / "adjust my target" -> Call adaptive_calorie_target with action "propose". The target only changes after the user confirms: when the previous reply suggested a target and the user says "confirm target" or "yes", call it with action "confirm". Never use update_calories set_target for a suggested target.
+- "how much protein today" -> Call get_calorie_status
+- "export" / "download my data" -> Call export_data. Relay the links exactly as returned; they only work unchanged.
+- "week" or "month" -> Call get_nutrition_report with days 7 or 30
+- "save meal usual breakfast = 2 eggs, toast, coffee 320" -> Call manage_saved_meals with action "save", name "usual breakfast", description "2 eggs, toast, coffee", calories 320 (omit calories if none given)
+- "meals" -> manage_saved_meals action "list". "delete meal usual breakfast" -> action "delete".
+- Saved meals come before estimates: pass food text to estimate_calories verbatim (don't expand "usual breakfast" into foods) so a saved meal name matches. If a message combines a saved meal with other food ("usual breakfast plus a banana"), log the saved meal with manage_saved_meals action "log" and estimate only the rest.
 - "suggest 300" or "suggest 300 sweet" -> Call get_food_suggestions
 - When someone texts food, assume they ate it and want it logged unless they clearly say otherwise (e.g., "how many calories in a banana" without eating context is still logged).
 
@@ -91,8 +155,10 @@ RESPONSE RULES:
 - If a tool result contains "async": true, respond with ONLY the acknowledgment text from the tool. Do not add anything else.
 - When the user texts "how" or "?", list the available commands:
 
-Bus Times: Send 6-digit stop code (e.g., 308209). Add route to filter (e.g., 308209 B63).
-Calories: Send food description or photo. "total" for daily count. "sub 50" to subtract. "target 2000" to set goal. "suggest 300" for ideas. "reset calories" to start over.
+Bus Times: Send 6-digit stop code (e.g., 308209), cross streets (e.g., Flatbush & 7th Ave), or share your location pin. Add route to filter (e.g., 308209 B63), "details" for bus numbers, "next 5" for more, or several stops like "308209 B63, 308211 B61". "308209 to Bay Ridge" or "B63 from 5 Av/Union to Atlantic" for one direction. "save home 308209 B63" then "bus home" ("favorites" to list, "forget home" to remove). "walk home 6" then "leave for home" to know when to head out. "alert 308209 B63 5" to get texted when the bus is 5 min away, "alert off" to cancel. "every weekday 8:10 send 308209 B63" for a daily push, "schedules" to list/pause/delete. "c B63" for detours & service alerts. "reliability B63 308209" for how far off predictions run.
+Subway: Line and station (e.g., F at Jay St).
+Citi Bike: "bikes near 308209" or "docks Atlantic Terminal".
+Calories: Send food description or photo (nutrition labels and barcodes give exact values). Unsure estimates ask one question first; answer it, "log it", or "skip". "total" for daily count. "list today" for entries, "undo" to drop the last, "edit entry 3 to 400" to fix one. "week" / "month" for reports. "save meal usual breakfast = 2 eggs, toast 320" then "usual breakfast" to log it, "meals" to list. "sub 50" to subtract. "target 2000" to set goal, "target protein 150" for a macro goal. "weight 182.4" to log a weigh-in, "goal lose 1 lb/week", then "tdee" for a suggested target ("confirm target" to apply). "suggest 300" for ideas. "export" for CSV downloads. "reset calories" to start over.
 Workout: "bench 185 3x8" to log. "change bench to 190 3x8" to edit. "delete bench" to remove. "workout plan" for today's plan. "workout summary" for history. "reset workout history" to clear all.
 Uber: "uber [pickup] to [dest]" for quote. "uber confirm 1" to book. "uber status" / "uber cancel".`;
 
@@ -100,41 +166,227 @@ Uber: "uber [pickup] to [dest]" for quote. "uber confirm 1" to book. "uber statu
 const TOOLS = [
   {
     name: 'lookup_bus_arrivals',
-    description: 'Look up real-time bus arrivals at an MTA bus stop. Use when the user provides a 6-digit stop code.',
+    description: 'Look up real-time bus arrivals at one or more MTA bus stops. Use when the user provides 6-digit stop codes or the nickname of a saved stop.',
     input_schema: {
       type: 'object',
       properties: {
         stop_code: { type: 'string', description: '6-digit MTA bus stop code' },
-        route: { type: 'string', description: 'Optional bus route filter (e.g., B63, M15)' }
+        route: { type: 'string', description: 'Optional bus route filter (e.g., B63, M15)' },
+        favorite: { type: 'string', description: 'Nickname of a saved stop (e.g., "home"). Use instead of stop_code.' },
+        stops: {
+          type: 'array',
+          description: 'Several stop/route pairs to look up at once, merged into one reply sorted by ETA. Use instead of stop_code for "308209 B63, 308211 B61".',
+          items: {
+            type: 'object',
+            properties: {
+              stop_code: { type: 'string', description: '6-digit MTA bus stop code' },
+              route: { type: 'string', description: 'Optional route filter' }
+            },
+            required: ['stop_code']
+          }
+        },
+        destination: { type: 'string', description: 'Only show buses heading toward this place (e.g., "Bay Ridge", "Atlantic Av")' },
+        max_results: { type: 'number', description: 'How many buses to show (default 3, or 6 for several stops; max 10)' },
+        verbose: { type: 'boolean', description: 'Include vehicle numbers (only when the user asks which bus / for details)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'lookup_bus_stop_pair',
+    description: 'Find the right stop and direction for a trip on one bus route between two places, and return arrivals there. Use for "B63 from 5 Av/Union to Atlantic".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        route: { type: 'string', description: 'Bus route (e.g., B63)' },
+        from: { type: 'string', description: 'Boarding stop name or cross streets (e.g., "5 Av/Union St")' },
+        to: { type: 'string', description: 'Where the user is going, as a stop name on that route (e.g., "Atlantic Av")' }
       },
-      required: ['stop_code']
+      required: ['route', 'from', 'to']
+    }
+  },
+  {
+    name: 'plan_bus_departure',
+    description: 'Tell the user when to leave to catch the next bus they can make, using their walking time to the stop. Can also text them when it is time to go.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['advise', 'cancel_reminder'], description: 'advise (default) or cancel a pending "leave now" text' },
+        stop_code: { type: 'string', description: '6-digit MTA bus stop code' },
+        route: { type: 'string', description: 'Optional bus route filter' },
+        favorite: { type: 'string', description: 'Nickname of a saved stop. Use instead of stop_code.' },
+        walk_minutes: { type: 'number', description: 'Walking time if the user states one; otherwise the saved time is used' },
+        remind: { type: 'boolean', description: 'Also text "leave now" when it is time to go' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'get_bus_reliability',
+    description: 'Report how accurate past arrival predictions were for a route at a stop, with typical error and gaps between buses by hour of day.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        route: { type: 'string', description: 'Bus route (e.g., B63)' },
+        stop_code: { type: 'string', description: '6-digit MTA bus stop code' }
+      },
+      required: ['route', 'stop_code']
+    }
+  },
+  {
+    name: 'find_stops_near_location',
+    description: 'List the 3 nearest bus stops to a shared location pin, with their routes and next arrivals. Use when the message includes a [Shared location: lat,lon] note.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        lat: { type: 'number', description: 'Latitude (defaults to the shared location)' },
+        lon: { type: 'number', description: 'Longitude (defaults to the shared location)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'lookup_subway_arrivals',
+    description: 'Look up real-time NYC subway arrivals for a line at a station. Use when the user names a subway line and station (e.g., "F at Jay St").',
+    input_schema: {
+      type: 'object',
+      properties: {
+        line: { type: 'string', description: 'Subway line (e.g., F, 6, A, L, S for the 42 St shuttle)' },
+        station: { type: 'string', description: 'Station name (e.g., "Jay St", "14 St Union Sq")' },
+        direction: { type: 'string', enum: ['N', 'S'], description: 'Optional: N for uptown/northbound, S for downtown/southbound' }
+      },
+      required: ['line', 'station']
+    }
+  },
+  {
+    name: 'lookup_citibike',
+    description: 'Find the nearest Citi Bike stations with bikes, e-bikes, and free docks near a bus stop or NYC location.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        location: { type: 'string', description: '6-digit MTA bus stop code, "lat,lon" from a shared location, or a place/intersection (e.g., "Atlantic Terminal")' },
+        want: { type: 'string', enum: ['bikes', 'docks'], description: 'bikes to pick one up (default), docks to return one' }
+      },
+      required: ['location']
+    }
+  },
+  {
+    name: 'manage_bus_favorites',
+    description: 'Save, list, or delete nicknamed bus stops (e.g., "home", "work") for this user.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['save', 'list', 'delete', 'set_walk'], description: 'The action to perform' },
+        nickname: { type: 'string', description: 'Favorite nickname (required for save, delete, and set_walk)' },
+        walk_minutes: { type: 'number', description: 'Minutes to walk to the stop (required for set_walk)' },
+        stop_code: { type: 'string', description: '6-digit MTA bus stop code (required for save)' },
+        route: { type: 'string', description: 'Optional route filter to save with the stop (e.g., B63)' }
+      },
+      required: ['action']
+    }
+  },
+  {
+    name: 'manage_bus_alert',
+    description: 'Set or cancel a push alert that texts the user when their bus is N minutes (or 2 stops) from a stop. Alerts expire automatically after an hour.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['set', 'cancel'], description: 'The action to perform' },
+        stop_code: { type: 'string', description: '6-digit MTA bus stop code (required for set)' },
+        route: { type: 'string', description: 'Optional bus route filter (e.g., B63)' },
+        minutes: { type: 'number', description: 'Alert when the bus is this many minutes away (default 5)' }
+      },
+      required: ['action']
+    }
+  },
+  {
+    name: 'manage_bus_schedule',
+    description: 'Create, list, pause, resume, or delete recurring pushes of bus arrivals (e.g., every weekday at 8:10 for stop 308209).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['create', 'list', 'pause', 'resume', 'delete'], description: 'The action to perform' },
+        days: { type: 'string', description: 'For create: "day", "weekday", "weekend", or day names like "mon,wed,fri"' },
+        time: { type: 'string', description: 'For create: clock time in Eastern Time (e.g., "8:10", "5:45pm")' },
+        stop_code: { type: 'string', description: 'For create: 6-digit MTA bus stop code' },
+        route: { type: 'string', description: 'For create: optional bus route filter (e.g., B63)' },
+        schedule_id: { type: 'number', description: 'For pause/resume/delete: the schedule number shown in the list' }
+      },
+      required: ['action']
+    }
+  },
+  {
+    name: 'find_bus_stops',
+    description: 'Find MTA bus stops by intersection, address, or landmark. Returns arrivals if exactly one stop matches, otherwise a list of candidate stops with direction and stop code. Use when the user names a place instead of a 6-digit stop code.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        location: { type: 'string', description: 'Intersection, address, or landmark (e.g., "Flatbush Ave & 7th Ave", "Atlantic Terminal")' },
+        route: { type: 'string', description: 'Optional bus route filter (e.g., B41)' }
+      },
+      required: ['location']
+    }
+  },
+  {
+    name: 'get_service_alerts',
+    description: 'Get active MTA service alerts (detours, reroutes, stop closures) for a bus route. Use when the user texts "c B63" or asks about detours on a route.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        route: { type: 'string', description: 'Bus route (e.g., B63, M15)' }
+      },
+      required: ['route']
     }
   },
   {
     name: 'estimate_calories',
-    description: 'Estimate calories for a food description, log them, and return the daily total. Use when the user describes food in text without an image.',
+    description: 'Estimate calories for a food description, log them, and return the daily total. Use when the user describes food in text without an image. If the description is the name of one of the user\'s saved meals, the saved numbers are logged instead of estimating. Uncertain estimates are not logged; they return a follow-up question for the user (answer with answer_food_question).',
     input_schema: {
       type: 'object',
       properties: {
-        food_description: { type: 'string', description: 'Natural language food description (e.g., "2 eggs and toast")' }
+        food_description: { type: 'string', description: 'Natural language food description (e.g., "2 eggs and toast"), without the date words' },
+        date: { type: 'string', description: 'Day it happened if not today: "yesterday", a weekday like "monday", or YYYY-MM-DD. Omit for today.' }
       },
       required: ['food_description']
     }
   },
   {
     name: 'estimate_calories_from_image',
-    description: 'Estimate calories from a food photo, log them, and return the daily total. Use when the user sends an image (with or without accompanying text).',
+    description: 'Handle a food photo. Nutrition-facts labels are read exactly and barcodes are looked up in the product database; both reply asking how many servings (nothing is logged until log_label_servings). Other photos are estimated, logged, and return the daily total, unless the estimate is uncertain and returns a follow-up question first. Use when the user sends an image (with or without accompanying text).',
     input_schema: {
       type: 'object',
       properties: {
-        text_context: { type: 'string', description: 'Optional text the user sent along with the photo' }
+        text_context: { type: 'string', description: 'Optional text the user sent along with the photo' },
+        date: { type: 'string', description: 'Day it happened if not today: "yesterday", a weekday like "monday", or YYYY-MM-DD. Omit for today.' }
       },
       required: []
     }
   },
+  {
+    name: 'answer_food_question',
+    description: 'Answer the follow-up question asked about an uncertain calorie estimate (portion size, how it was cooked, etc.). The estimate is revised with the answer and logged. "log it" logs the original guess; "skip" drops it. Use when the previous reply asked such a question and the user responds.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        answer: { type: 'string', description: 'The user\'s reply, verbatim (e.g., "fried, about 2 cups", "log it", "skip")' }
+      },
+      required: ['answer']
+    }
+  },
+  {
+    name: 'log_label_servings',
+    description: 'Log the nutrition label or barcode product from the user\'s last photo for a number of servings. Use when the previous reply asked "How many servings?" and the user answers (e.g., "2", "half", "1.5").',
+    input_schema: {
+      type: 'object',
+      properties: {
+        servings: { type: 'number', description: 'Servings eaten (e.g., 2, 0.5)' }
+      },
+      required: ['servings']
+    }
+  },
   {
     name: 'get_calorie_status',
-    description: 'Get today\'s calorie total and daily target. Use when user texts "total".',
+    description: 'Get today\'s calorie total and target, plus protein/carbs/fat/fiber progress. Use when user texts "total" or asks about protein or macros so far.',
     input_schema: {
       type: 'object',
       properties: {},
@@ -143,23 +395,108 @@ const TOOLS = [
   },
   {
     name: 'update_calories',
-    description: 'Modify calorie tracking: subtract calories, reset daily count, or set daily target.',
+    description: 'Modify calorie tracking: subtract calories, reset daily count, set the daily calorie target, or set/clear a daily macro target in grams.',
     input_schema: {
       type: 'object',
       properties: {
         action: {
           type: 'string',
-          enum: ['subtract', 'reset', 'set_target'],
+          enum: ['subtract', 'reset', 'set_target', 'set_macro_target'],
           description: 'The action to perform'
         },
         amount: {
           type: 'number',
-          description: 'Calorie amount (required for subtract and set_target)'
+          description: 'Calorie amount (required for subtract and set_target), or grams for set_macro_target (0 clears it)'
+        },
+        macro: {
+          type: 'string',
+          enum: ['protein', 'carbs', 'fat', 'fiber'],
+          description: 'Macro to target (required for set_macro_target)'
+        },
+        date: { type: 'string', description: 'For subtract: day to adjust if not today ("yesterday", "monday", or YYYY-MM-DD)' }
+      },
+      required: ['action']
+    }
+  },
+  {
+    name: 'log_weight',
+    description: 'Log today\'s body weight in lbs (replaces an earlier weigh-in today) and return it with the smoothed trend and weekly rate of change.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        weight: { type: 'number', description: 'Body weight in lbs (e.g., 182.4)' }
+      },
+      required: ['weight']
+    }
+  },
+  {
+    name: 'get_weight_trend',
+    description: 'Get the latest weigh-in, the smoothed weight trend, weekly rate of change, and the last week of weigh-ins.',
+    input_schema: { type: 'object', properties: {}, required: [] }
+  },
+  {
+    name: 'adaptive_calorie_target',
+    description: 'Adaptive calorie target from logged intake vs the weight trend over the last 3 weeks. set_goal saves a weight goal rate and proposes a target; propose estimates TDEE and proposes a target for the saved goal; confirm applies the proposed target (only after the user explicitly agrees).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['set_goal', 'propose', 'confirm'],
+          description: 'The action to perform'
+        },
+        lbs_per_week: {
+          type: 'number',
+          description: 'Goal rate for set_goal: negative to lose (e.g., -1 for "lose 1 lb/week"), 0 to maintain, positive to gain'
         }
       },
       required: ['action']
     }
   },
+  {
+    name: 'export_data',
+    description: 'Get CSV download links for daily calorie totals, itemized food entries, and workout sets. Use when the user wants their data in a spreadsheet.',
+    input_schema: { type: 'object', properties: {}, required: [] }
+  },
+  {
+    name: 'manage_saved_meals',
+    description: 'Manage the user\'s saved meals library: save a meal under a name (with calories, or estimated once if calories are omitted), list saved meals, log one by name, or delete one.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['save', 'list', 'log', 'delete'], description: 'The action to perform' },
+        name: { type: 'string', description: 'Meal name (e.g., "usual breakfast"); required for save, log and delete' },
+        description: { type: 'string', description: 'What the meal contains (required for save)' },
+        calories: { type: 'number', description: 'Total calories (optional for save; estimated once if omitted)' },
+        date: { type: 'string', description: 'For log: day it was eaten if not today ("yesterday", "monday", or YYYY-MM-DD)' }
+      },
+      required: ['action']
+    }
+  },
+  {
+    name: 'manage_food_log',
+    description: 'Work with today\'s itemized food log: list entries (numbered), undo the most recent entry, or change the calories of one entry.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['list', 'undo', 'edit'], description: 'The action to perform' },
+        entry_number: { type: 'number', description: 'Entry number as shown by list (required for edit)' },
+        calories: { type: 'number', description: 'Corrected calories for the entry (required for edit)' }
+      },
+      required: ['action']
+    }
+  },
+  {
+    name: 'get_nutrition_report',
+    description: 'Summarize recent eating: average calories and macros vs budget, days over/under, on-target streaks, best and worst days. Covers complete days before today. Use for "week", "month", or "how did I do this week".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        days: { type: 'number', description: 'Days to cover: 7 for a week (default), 30 for a month' }
+      },
+      required: []
+    }
+  },
   {
     name: 'get_food_suggestions',
     description: 'Get food suggestions for a calorie budget. Use when user texts "suggest 300" or "suggest 300 sweet".',
@@ -209,7 +546,7 @@ const TOOLS = [
   },
   {
     name: 'log_exercise',
-    description: 'Log weight lifting sets. Use when the user reports exercises they did.',
+    description: 'Log weight lifting sets. Use when the user reports exercises they did, including on an earlier day ("forgot to log Monday\'s squats").',
     input_schema: {
       type: 'object',
       properties: {
@@ -217,7 +554,8 @@ const TOOLS = [
         weight_lbs: { type: 'number', description: 'Weight in pounds. Omit or 0 for bodyweight exercises.' },
         reps: { type: 'number', description: 'Reps per set' },
         sets: { type: 'number', description: 'Number of sets (default 1). Users often log one set at a time.' },
-        difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'], description: 'How difficult the set felt. Optional.' }
+        difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'], description: 'How difficult the set felt. Optional.' },
+        date: { type: 'string', description: 'Day it happened if not today: "yesterday", a weekday like "monday", or YYYY-MM-DD. Omit for today.' }
       },
       required: ['exercise', 'reps']
     }
@@ -264,27 +602,226 @@ const TOOLS = [
 ];
 
 // --- TOOL HANDLERS ---
-// Each handler receives (input, ctx) where ctx has { fromNumber, twilioNumber, imageBuffer, imageMediaType, sendAsyncSMS }
+// Each handler receives (input, ctx) where ctx has { fromNumber, twilioNumber, imageBuffer, imageMediaType, location, sendAsyncSMS }
+
+// "1450 / 2100 cal (1800 + 300 exercise)", or just the base target on rest days
+function formatDailyTotal(total, baseTarget, exerciseCals) {
+  return exerciseCals > 0
+    ? `${total} / ${baseTarget + exerciseCals} cal (${baseTarget} + ${exerciseCals} exercise)`
+    : `${total} / ${baseTarget} cal`;
+}
+
+// "Daily total: ..." for today, "Total for yesterday: ..." after logging to a past day
+async function formatLoggedTotal(date, total, totals = null) {
+  const [baseTarget, exerciseCals, macroTargets] = await Promise.all([
+    getTarget(), getExerciseCaloriesToday(date), getMacroTargets()
+  ]);
+  const label = date === getTodayKey() ? 'Daily total' : `Total for ${describeLogDate(date)}`;
+  let text = `${label}: ${formatDailyTotal(total, baseTarget, exerciseCals)}`;
+  if (totals) text += `\n${formatMacroProgress(totals, macroTargets)}`;
+  return text;
+}
 
 const toolHandlers = {
   async lookup_bus_arrivals(input, ctx) {
     const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
-    const arrivalData = await mtaAPI.getStopArrivals(input.stop_code, input.route || null);
-    return { result: mtaAPI.formatAsText(arrivalData) };
+    const displayOptions = { verbose: !!input.verbose };
+
+    if (input.stops?.length > 0) {
+      const queries = input.stops.map(stop => ({ stopCode: stop.stop_code, route: stop.route ? stop.route.toUpperCase() : null }));
+      const arrivalData = await getMultiStopArrivals(mtaAPI, queries, { maxVisits: input.max_results });
+      return { result: mtaAPI.formatAsText(arrivalData, input.max_results, displayOptions) };
+    }
+
+    let stopCode = input.stop_code;
+    let route = input.route || null;
+    if (input.favorite) {
+      const favorite = await getFavorite(ctx.fromNumber, input.favorite);
+      if (!favorite) {
+        return { result: `No saved stop named "${input.favorite}". Text "save ${input.favorite} 308209 B63" to add it.` };
+      }
+      stopCode = favorite.stopCode;
+      route = route || favorite.route;
+    }
+    if (!stopCode) return { error: 'Stop code, stops, or favorite nickname required.' };
+
+    const arrivalData = await getArrivalsWithScheduleFallback(mtaAPI, stopCode, route, {
+      maxVisits: input.max_results,
+      destination: input.destination
+    });
+    return { result: mtaAPI.formatAsText(arrivalData, input.max_results, displayOptions) };
+  },
+
+  async lookup_bus_stop_pair(input, ctx) {
+    const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+    const arrivalData = await mtaAPI.getStopPairArrivals(input.route, input.from, input.to);
+    const text = mtaAPI.formatAsText(arrivalData);
+    return { result: arrivalData.stopCode ? `${text}\n\nStop code: ${arrivalData.stopCode}` : text };
+  },
+
+  async plan_bus_departure(input, ctx) {
+    if (input.action === 'cancel_reminder') {
+      return { result: cancelLeaveReminder(ctx.fromNumber) ? 'Cancelled your leave reminder.' : 'No leave reminder set.' };
+    }
+    if (!input.stop_code && !input.favorite) return { error: 'Stop code or favorite nickname required.' };
+
+    const result = await adviseDeparture({
+      phone: ctx.fromNumber,
+      twilioNumber: ctx.twilioNumber,
+      stopCode: input.stop_code || null,
+      route: input.route || null,
+      nickname: input.favorite || null,
+      walkMinutes: input.walk_minutes ?? null,
+      remind: !!input.remind,
+      sendSMS: ctx.sendAsyncSMS
+    });
+    return { result };
+  },
+
+  async get_bus_reliability(input, ctx) {
+    const report = await getReliability(input.route, input.stop_code);
+    return { result: formatReliability(report) };
+  },
+
+  async find_stops_near_location(input, ctx) {
+    const lat = input.lat ?? ctx.location?.lat;
+    const lon = input.lon ?? ctx.location?.lon;
+    if (lat == null || lon == null) return { error: 'No location shared with this message.' };
+
+    const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+    const nearby = await mtaAPI.getNearbyStopsWithArrivals(lat, lon);
+    return { result: mtaAPI.formatNearbyStops(nearby) };
+  },
+
+  async lookup_subway_arrivals(input, ctx) {
+    const subwayAPI = new MTASubwayAPI();
+    const arrivalData = await subwayAPI.getStationArrivals(input.line, input.station, input.direction || null);
+    return { result: subwayAPI.formatAsText(arrivalData) };
+  },
+
+  async lookup_citibike(input, ctx) {
+    const citiBikeAPI = new CitiBikeAPI();
+    const bikeData = await citiBikeAPI.findNear(input.location, input.want || 'bikes');
+    return { result: citiBikeAPI.formatAsText(bikeData) };
+  },
+
+  async manage_bus_favorites(input, ctx) {
+    switch (input.action) {
+      case 'save': {
+        if (!input.nickname || !input.stop_code) return { error: 'Nickname and stop code required for save.' };
+        const favorite = await saveFavorite(ctx.fromNumber, input.nickname, input.stop_code, input.route || null);
+        return { result: `Saved "${favorite.nickname}" as stop ${favorite.stopCode}${favorite.route ? ` ${favorite.route}` : ''}.\n\nText "bus ${favorite.nickname}" for arrivals.` };
+      }
+      case 'list': {
+        const favorites = await listFavorites(ctx.fromNumber);
+        return { result: formatFavorites(favorites) };
+      }
+      case 'set_walk': {
+        if (!input.nickname || input.walk_minutes == null) return { error: 'Nickname and walk_minutes required for set_walk.' };
+        const favorite = await setWalkMinutes(ctx.fromNumber, input.nickname, Math.round(input.walk_minutes));
+        return { result: favorite ? `Saved a ${favorite.walkMinutes} min walk to "${favorite.nickname}".` : `No saved stop named "${input.nickname}".` };
+      }
+      case 'delete': {
+        if (!input.nickname) return { error: 'Nickname required for delete.' };
+        const deleted = await deleteFavorite(ctx.fromNumber, input.nickname);
+        return { result: deleted ? `Removed saved stop "${input.nickname}".` : `No saved stop named "${input.nickname}".` };
+      }
+      default:
+        return { error: `Unknown action: ${input.action}` };
+    }
+  },
+
+  async manage_bus_alert(input, ctx) {
+    switch (input.action) {
+      case 'set': {
+        if (!input.stop_code) return { error: 'Stop code required to set an alert.' };
+        const watch = await createWatch(
+          ctx.fromNumber,
+          ctx.twilioNumber,
+          input.stop_code,
+          input.route || null,
+          input.minutes || DEFAULT_ALERT_MINUTES
+        );
+        return { result: `Alert set. ${describeWatch(watch)}` };
+      }
+      case 'cancel': {
+        const cancelled = await cancelWatches(ctx.fromNumber);
+        return { result: cancelled > 0 ? `Cancelled ${cancelled} bus alert${cancelled > 1 ? 's' : ''}.` : 'No active bus alerts.' };
+      }
+      default:
+        return { error: `Unknown action: ${input.action}` };
+    }
+  },
+
+  async manage_bus_schedule(input, ctx) {
+    switch (input.action) {
+      case 'create': {
+        if (!input.days || !input.time || !input.stop_code) {
+          return { error: 'Days, time, and stop code required to create a schedule.' };
+        }
+        const created = await createSchedule(
+          ctx.fromNumber, ctx.twilioNumber, input.days, input.time, input.stop_code, input.route || null, ctx.sendAsyncSMS
+        );
+        return created.success
+          ? { result: `Scheduled: ${describeSchedule(created.schedule)}` }
+          : { result: created.error };
+      }
+      case 'list': {
+        const schedules = await listSchedules(ctx.fromNumber);
+        return { result: formatSchedules(schedules) };
+      }
+      case 'pause':
+      case 'resume': {
+        if (!input.schedule_id) return { error: 'Schedule id required.' };
+        const schedule = await setSchedulePaused(ctx.fromNumber, input.schedule_id, input.action === 'pause', ctx.sendAsyncSMS);
+        if (!schedule) return { result: `No schedule #${input.schedule_id}.` };
+        return { result: `${input.action === 'pause' ? 'Paused' : 'Resumed'}: ${describeSchedule(schedule)}` };
+      }
+      case 'delete': {
+        if (!input.schedule_id) return { error: 'Schedule id required.' };
+        const deleted = await deleteSchedule(ctx.fromNumber, input.schedule_id);
+        return { result: deleted ? `Deleted schedule #${input.schedule_id}.` : `No schedule #${input.schedule_id}.` };
+      }
+      default:
+        return { error: `Unknown action: ${input.action}` };
+    }
+  },
+
+  async find_bus_stops(input, ctx) {
+    const mtaAPI = new MTABusAPI(process.env.MTA_API_KEY);
+    const search = await mtaAPI.searchStops(input.location, input.route || null);
+    if (!search.found || search.ambiguous) {
+      return { result: mtaAPI.formatStopCandidates(search), ambiguous: search.ambiguous };
+    }
+    const stop = search.candidates[0];
+    const arrivalData = await mtaAPI.getStopArrivals(stop.code, input.route || null);
+    return { result: `${mtaAPI.formatAsText(arrivalData)}\n\nStop code: ${stop.code}` };
+  },
+
+  async get_service_alerts(input, ctx) {
+    const alertsAPI = new MTAServiceAlertsAPI(process.env.MTA_API_KEY);
+    const alertData = await alertsAPI.getRouteAlerts(input.route);
+    return { result: alertsAPI.formatAsText(alertData) };
   },
 
   async estimate_calories(input, ctx) {
     const geminiAPI = new GeminiCalorieAPI(process.env.GEMINI_API_KEY);
-    const calorieData = await geminiAPI.estimateCalories(input.food_description);
+    // Saved meals are logged as-is, without asking Gemini
+    const { date, error } = resolveLogDate(input.date);
+    if (error) return { error };
+    const meal = await findMeal(ctx.fromNumber, input.food_description);
+    const calorieData = meal
+      ? mealToEstimate(meal)
+      : await geminiAPI.estimateCalories(input.food_description);
+    // Unsure estimates wait for an answer before anything is logged
+    if (needsClarification(calorieData)) {
+      await savePendingClarification(ctx.fromNumber, calorieData, 'text', input.food_description, date);
+      return { result: formatClarificationQuestion(calorieData), awaiting_answer: true };
+    }
     let text = geminiAPI.formatAsText(calorieData);
     if (calorieData.success && calorieData.totalCalories) {
-      const [dailyTotal, baseTarget, exerciseCals] = await Promise.all([
-        addCalories(calorieData.totalCalories), getTarget(), getExerciseCaloriesToday()
-      ]);
-      const adjustedTarget = baseTarget + exerciseCals;
-      text += exerciseCals > 0
-        ? `\n\nDaily total: ${dailyTotal} / ${adjustedTarget} cal (${baseTarget} + ${exerciseCals} exercise)`
-        : `\n\nDaily total: ${dailyTotal} / ${baseTarget} cal`;
+      const logged = await logEstimate(calorieData, meal ? 'saved' : 'text', input.food_description, date);
+      text += `\n\n${await formatLoggedTotal(logged.date, logged.total, logged.totals)}`;
     }
     return { result: text };
   },
@@ -293,45 +830,84 @@ const toolHandlers = {
     if (!ctx.imageBuffer) {
       return { error: 'No image attached to this message.' };
     }
+    const { date, error } = resolveLogDate(input.date);
+    if (error) return { error };
     const geminiAPI = new GeminiCalorieAPI(process.env.GEMINI_API_KEY);
-    const calorieData = await geminiAPI.estimateCaloriesFromImage(
-      ctx.imageBuffer, ctx.imageMediaType, input.text_context || ''
-    );
-    let text = geminiAPI.formatAsText(calorieData);
-    if (calorieData.success && calorieData.totalCalories) {
-      const [dailyTotal, baseTarget, exerciseCals] = await Promise.all([
-        addCalories(calorieData.totalCalories), getTarget(), getExerciseCaloriesToday()
-      ]);
-      const adjustedTarget = baseTarget + exerciseCals;
-      text += exerciseCals > 0
-        ? `\n\nDaily total: ${dailyTotal} / ${adjustedTarget} cal (${baseTarget} + ${exerciseCals} exercise)`
-        : `\n\nDaily total: ${dailyTotal} / ${baseTarget} cal`;
+    // Nutrition labels and known barcodes ask for servings; other photos are estimated
+    const photo = await analyzeFoodPhoto({
+      geminiAPI,
+      phone: ctx.fromNumber,
+      imageBuffer: ctx.imageBuffer,
+      mimeType: ctx.imageMediaType,
+      textContext: input.text_context || '',
+      date
+    });
+    if (photo.reply && !photo.logged) return { result: photo.reply, awaiting_servings: true };
+    if (!photo.logged && needsClarification(photo.calorieData)) {
+      await savePendingClarification(ctx.fromNumber, photo.calorieData, 'photo', input.text_context, date);
+      return { result: formatClarificationQuestion(photo.calorieData), awaiting_answer: true };
+    }
+
+    let text = photo.reply;
+    let logged = photo.logged;
+    if (!logged) {
+      text = geminiAPI.formatAsText(photo.calorieData);
+      if (photo.calorieData.success && photo.calorieData.totalCalories) {
+        logged = await logEstimate(photo.calorieData, 'photo', input.text_context, date);
+      }
+    }
+    if (logged) {
+      text += `\n\n${await formatLoggedTotal(logged.date, logged.total, logged.totals)}`;
+    }
+    return { result: text };
+  },
+
+  async answer_food_question(input, ctx) {
+    // A saved meal name is new food, logged as-is by estimate_calories
+    if (await findMeal(ctx.fromNumber, input.answer || '')) {
+      return { error: `"${input.answer}" is a saved meal, not an answer. Call estimate_calories to log it and leave the question open.` };
+    }
+    const geminiAPI = new GeminiCalorieAPI(process.env.GEMINI_API_KEY);
+    const clarified = await resolveClarification(geminiAPI, ctx.fromNumber, input.answer || '');
+    if (!clarified) {
+      return { error: 'No food estimate is waiting on an answer (they expire after 10 minutes). Call estimate_calories instead.' };
+    }
+    if (clarified.skipped) {
+      return { result: `Skipped, nothing logged (~${clarified.calorieData.totalCalories} cal guess).` };
     }
+    const logged = await logEstimate(clarified.calorieData, clarified.source, clarified.description, clarified.date);
+    let text = geminiAPI.formatAsText(clarified.calorieData);
+    text += `\n\n${await formatLoggedTotal(logged.date, logged.total, logged.totals)}`;
+    return { result: text };
+  },
+
+  async log_label_servings(input, ctx) {
+    if (!(input.servings > 0)) return { error: 'servings must be a positive number.' };
+    const result = await logPendingServings(ctx.fromNumber, input.servings);
+    if (!result) {
+      return { result: 'No nutrition label waiting for a serving count. Send a photo of the label or barcode first.' };
+    }
+    let text = formatServingsLogged(result);
+    text += `\n\n${await formatLoggedTotal(result.logged.date, result.logged.total, result.logged.totals)}`;
     return { result: text };
   },
 
   async get_calorie_status(input, ctx) {
-    const [total, baseTarget, exerciseCals] = await Promise.all([
-      getTodayTotal(), getTarget(), getExerciseCaloriesToday()
+    const [totals, baseTarget, exerciseCals, macroTargets] = await Promise.all([
+      getTodayTotals(), getTarget(), getExerciseCaloriesToday(), getMacroTargets()
     ]);
-    const adjustedTarget = baseTarget + exerciseCals;
-    const text = exerciseCals > 0
-      ? `Today's total: ${total} / ${adjustedTarget} cal (${baseTarget} + ${exerciseCals} exercise)`
-      : `Today's total: ${total} / ${baseTarget} cal`;
-    return { result: text };
+    return {
+      result: `Today's total: ${formatDailyTotal(totals.calories, baseTarget, exerciseCals)}\n${formatMacroProgress(totals, macroTargets)}`
+    };
   },
 
   async update_calories(input, ctx) {
     switch (input.action) {
       case 'subtract': {
-        const [newTotal, baseTarget, exerciseCals] = await Promise.all([
-          subtractCalories(input.amount), getTarget(), getExerciseCaloriesToday()
-        ]);
-        const adjustedTarget = baseTarget + exerciseCals;
-        const display = exerciseCals > 0
-          ? `${newTotal} / ${adjustedTarget} cal (${baseTarget} + ${exerciseCals} exercise)`
-          : `${newTotal} / ${baseTarget} cal`;
-        return { result: `Subtracted ${input.amount} cal.\n\nDaily total: ${display}` };
+        const { date, error } = resolveLogDate(input.date);
+        if (error) return { error };
+        const newTotal = await subtractCalories(input.amount, date);
+        return { result: `Subtracted ${input.amount} cal.\n\n${await formatLoggedTotal(date, newTotal)}` };
       }
       case 'reset': {
         const previous = await resetToday();
@@ -341,11 +917,135 @@ const toolHandlers = {
         const newTarget = await setTarget(input.amount);
         return { result: `Daily target set to ${newTarget} cal.` };
       }
+      case 'set_macro_target': {
+        if (!input.macro) return { error: 'macro is required for set_macro_target.' };
+        const newTarget = await setMacroTarget(input.macro, input.amount || null);
+        return {
+          result: newTarget
+            ? `Daily ${input.macro} target set to ${newTarget}g.`
+            : `Daily ${input.macro} target cleared.`
+        };
+      }
+      default:
+        return { error: `Unknown action: ${input.action}` };
+    }
+  },
+
+  async log_weight(input, ctx) {
+    if (!(input.weight >= 50 && input.weight <= 700)) {
+      return { error: 'weight must be in lbs, between 50 and 700.' };
+    }
+    const status = await logWeight(input.weight);
+    return { result: `Logged ${formatWeightStatus(status)}` };
+  },
+
+  async get_weight_trend(input, ctx) {
+    const [status, weighIns] = await Promise.all([getWeightStatus(), getWeighIns()]);
+    if (!status) return { result: formatWeightStatus(status) };
+    return { result: `${formatWeightStatus(status)}\n\n${formatWeighIns(weighIns)}` };
+  },
+
+  async adaptive_calorie_target(input, ctx) {
+    switch (input.action) {
+      case 'set_goal': {
+        const goalError = checkGoal(input.lbs_per_week);
+        if (goalError) return { error: goalError };
+        const goal = await setWeightGoal(input.lbs_per_week);
+        const proposal = await proposeTarget(ctx.fromNumber);
+        return { result: `Goal set: ${describeGoal(goal)}.\n\n${formatTargetProposal(proposal)}` };
+      }
+      case 'propose': {
+        const proposal = await proposeTarget(ctx.fromNumber);
+        return { result: formatTargetProposal(proposal) };
+      }
+      case 'confirm': {
+        const confirmed = await confirmTarget(ctx.fromNumber);
+        if (!confirmed) return { result: 'No suggested target to confirm (they expire after a day). Text "tdee" for a new one.' };
+        return { result: `Daily target changed from ${confirmed.previous} to ${confirmed.target} cal.` };
+      }
+      default:
+        return { error: `Unknown action: ${input.action}` };
+    }
+  },
+
+  async export_data(input, ctx) {
+    const links = createExportLinks();
+    if (links.error) return { error: links.error };
+    return { result: formatExportLinks(links) };
+  },
+
+  async manage_saved_meals(input, ctx) {
+    switch (input.action) {
+      case 'save': {
+        if (!input.name || !input.description) return { error: 'name and description are required for save.' };
+        let calories = input.calories;
+        let macros = null;
+        if (calories == null) {
+          const geminiAPI = new GeminiCalorieAPI(process.env.GEMINI_API_KEY);
+          const calorieData = await geminiAPI.estimateCalories(input.description);
+          if (!calorieData.success || !calorieData.totalCalories) {
+            return { result: `Couldn't estimate "${input.description}". Ask the user for the calories.` };
+          }
+          calories = calorieData.totalCalories;
+          macros = calorieData.macros;
+        }
+        const meal = await saveMeal(ctx.fromNumber, input.name, input.description, calories, macros);
+        return { result: `Saved meal ${describeMeal(meal)}. Text "${meal.name}" to log it.` };
+      }
+      case 'list':
+        return { result: formatMeals(await listMeals(ctx.fromNumber)) };
+      case 'log': {
+        if (!input.name) return { error: 'name is required for log.' };
+        const { date, error } = resolveLogDate(input.date);
+        if (error) return { error };
+        const meal = await findMeal(ctx.fromNumber, input.name);
+        if (!meal) return { result: `No saved meal named "${input.name}".` };
+        const logged = await logEstimate(mealToEstimate(meal), 'saved', meal.name, date);
+        let text = `Logged ${describeMeal(meal)}`;
+        text += `\n\n${await formatLoggedTotal(logged.date, logged.total, logged.totals)}`;
+        return { result: text };
+      }
+      case 'delete': {
+        if (!input.name) return { error: 'name is required for delete.' };
+        const deleted = await deleteMeal(ctx.fromNumber, input.name);
+        return { result: deleted ? `Deleted saved meal "${input.name}".` : `No saved meal named "${input.name}".` };
+      }
+      default:
+        return { error: `Unknown action: ${input.action}` };
+    }
+  },
+
+  async manage_food_log(input, ctx) {
+    switch (input.action) {
+      case 'list':
+        return { result: formatFoodLog(await getTodayEntries()) };
+      case 'undo': {
+        const [undone, baseTarget, exerciseCals] = await Promise.all([
+          undoLastEntry(), getTarget(), getExerciseCaloriesToday()
+        ]);
+        if (!undone) return { result: 'Nothing logged today to undo.' };
+        return { result: `Removed ${describeEntry(undone.entry)} (${undone.entry.calories} cal).\n\nDaily total: ${formatDailyTotal(undone.total, baseTarget, exerciseCals)}` };
+      }
+      case 'edit': {
+        if (!input.entry_number || input.calories == null) {
+          return { error: 'entry_number and calories are required for edit.' };
+        }
+        const [edited, baseTarget, exerciseCals] = await Promise.all([
+          editEntry(input.entry_number, input.calories), getTarget(), getExerciseCaloriesToday()
+        ]);
+        if (!edited) return { result: `No entry ${input.entry_number} today. Text "list today" to see entry numbers.` };
+        return { result: `Entry ${input.entry_number} (${describeEntry(edited.entry)}): ${edited.previousCalories} -> ${edited.entry.calories} cal.\n\nDaily total: ${formatDailyTotal(edited.total, baseTarget, exerciseCals)}` };
+      }
       default:
         return { error: `Unknown action: ${input.action}` };
     }
   },
 
+  async get_nutrition_report(input, ctx) {
+    const days = Math.min(Math.max(Math.round(input.days || 7), 1), 90);
+    return { result: formatNutritionReport(await getNutritionReport(days)) };
+  },
+
   async get_food_suggestions(input, ctx) {
     const geminiAPI = new GeminiCalorieAPI(process.env.GEMINI_API_KEY);
     const text = await geminiAPI.getSuggestions(input.calories, input.descriptors || null);
@@ -353,17 +1053,22 @@ const toolHandlers = {
   },
 
   async log_exercise(input, ctx) {
+    const { date, error } = resolveLogDate(input.date);
+    if (error) return { error };
     const result = await logSets(
       input.exercise,
       input.weight_lbs || null,
       input.reps,
       input.sets || 1,
-      input.difficulty || null
+      input.difficulty || null,
+      date
     );
 
     const [baseTarget, exerciseCals] = await Promise.all([
-      getTarget(), getExerciseCaloriesToday()
+      getTarget(), getExerciseCaloriesToday(date)
     ]);
+    const isToday = date === getTodayKey();
+    const dayName = describeLogDate(date);
     const adjustedTarget = baseTarget + exerciseCals;
 
     let text = `Logged: ${result.exercise}`;
@@ -372,8 +1077,10 @@ const toolHandlers = {
     if (input.difficulty) text += ` (${input.difficulty})`;
     text += ` (~${result.totalCaloriesThisExercise} cal)`;
 
+    if (!isToday) text += ` on ${dayName}`;
+
     if (result.todaySummary.length > 0) {
-      text += '\n\nToday: ';
+      text += `\n\n${dayName.charAt(0).toUpperCase()}${dayName.slice(1)}: `;
       text += result.todaySummary.map(s => {
         let entry = s.exercise;
         if (s.weightLbs) entry += ` ${s.weightLbs}`;
@@ -384,7 +1091,7 @@ const toolHandlers = {
     }
 
     text += `\nExercise calories: ~${exerciseCals} cal`;
-    text += `\nCalorie budget: ${adjustedTarget} (${baseTarget} + ${exerciseCals} exercise)`;
+    text += `\n${isToday ? 'Calorie budget' : `Calorie budget for ${dayName}`}: ${adjustedTarget} (${baseTarget} + ${exerciseCals} exercise)`;
 
     return { result: text };
   },
@@ -675,12 +1382,13 @@ const toolHandlers = {
  * @param {string} params.twilioNumber - The Twilio number (req.body.To)
  * @param {Buffer|null} params.imageBuffer - Pre-fetched image data
  * @param {string|null} params.imageMediaType - MIME type of image
+ * @param {Object|null} params.location - Shared location pin { lat, lon, label }
  * @param {Function} params.sendAsyncSMS - Function to send async SMS(to, from, body)
  * @returns {Promise<{ reply: string, isAsync: boolean }>}
  */
-async function handleSMS({ message, fromNumber, twilioNumber, imageBuffer, imageMediaType, sendAsyncSMS }) {
+async function handleSMS({ message, fromNumber, twilioNumber, imageBuffer, imageMediaType, location = null, sendAsyncSMS }) {
   const requestStart = Date.now();
-  const ctx = { fromNumber, twilioNumber, imageBuffer, imageMediaType, sendAsyncSMS };
+  const ctx = { fromNumber, twilioNumber, imageBuffer, imageMediaType, location, sendAsyncSMS };
 
   // Build initial message content
   const userContent = [];
@@ -694,7 +1402,10 @@ async function handleSMS({ message, fromNumber, twilioNumber, imageBuffer, image
       }
     });
   }
-  userContent.push({ type: 'text', text: message || '(image with no text)' });
+  userContent.push({ type: 'text', text: message || (imageBuffer ? '(image with no text)' : '(no text)') });
+  if (location) {
+    userContent.push({ type: 'text', text: `[Shared location: ${location.lat},${location.lon}${location.label ? ` (${location.label})` : ''}]` });
+  }
 
   // Load conversation history for context continuity
   const history = await getRecentMessages(fromNumber);
@@ -708,7 +1419,7 @@ async function handleSMS({ message, fromNumber, twilioNumber, imageBuffer, image
     const response = await anthropic.messages.create({
       model: MODEL,
       max_tokens: 1024,
-      system: SYSTEM_PROMPT,
+      system: `${SYSTEM_PROMPT}\n\nToday is ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/New_York' })} (${getTodayKey()}).`,
       tools: TOOLS,
       messages
     });
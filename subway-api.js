@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+
+// MTA publishes one GTFS-realtime feed per group of lines. Override the base
+// with SUBWAY_FEED_BASE_URL to point at a local fixture server.
+const DEFAULT_FEED_BASE_URL = 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2F';
+const STOPS_FILE = path.join(__dirname, 'data', 'subway-stops.txt');
+
+const LINE_FEEDS = {
+  1: 'gtfs', 2: 'gtfs', 3: 'gtfs', 4: 'gtfs', 5: 'gtfs', 6: 'gtfs', 7: 'gtfs-7', GS: 'gtfs',
+  A: 'gtfs-ace', C: 'gtfs-ace', E: 'gtfs-ace', H: 'gtfs-ace', FS: 'gtfs-ace',
+  B: 'gtfs-bdfm', D: 'gtfs-bdfm', F: 'gtfs-bdfm', M: 'gtfs-bdfm',
+  N: 'gtfs-nqrw', Q: 'gtfs-nqrw', R: 'gtfs-nqrw', W: 'gtfs-nqrw',
+  G: 'gtfs-g', J: 'gtfs-jz', Z: 'gtfs-jz', L: 'gtfs-l', SI: 'gtfs-si'
+};
+
+// Riders say "S" or "SIR"; the feeds use these route ids
+const LINE_ALIASES = { S: 'GS', SIR: 'SI' };
+const LINE_DISPLAY_NAMES = { GS: 'S', FS: 'S', SI: 'SIR' };
+
+const DIRECTION_NAMES = { N: 'Northbound', S: 'Southbound' };
+
+// Same-name parent stations closer than this are one complex (Jay St - MetroTech A/C/F and R)
+const COMPLEX_RADIUS_METERS = 400;
+
+// Parsed stops.txt, loaded once on first use
+let stations = null;
+
+/**
+ * Normalize a station name for matching ("Jay St-MetroTech" / "jay street metrotech")
+ */
+function nameTokens(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(t => ({ street: 'st', avenue: 'av', ave: 'av' }[t] || t));
+}
+
+/**
+ * Load parent stations from the bundled GTFS stops.txt
+ */
+function loadStations() {
+  if (stations) return stations;
+
+  const lines = fs.readFileSync(STOPS_FILE, 'utf8').trim().split('\n');
+  const header = lines[0].split(',');
+  const col = name => header.indexOf(name);
+
+  stations = lines.slice(1)
+    .map(line => line.split(','))
+    .filter(fields => fields[col('location_type')] === '1')
+    .map(fields => ({
+      id: fields[col('stop_id')],
+      name: fields[col('stop_name')],
+      lat: parseFloat(fields[col('stop_lat')]),
+      lon: parseFloat(fields[col('stop_lon')]),
+      tokens: nameTokens(fields[col('stop_name')])
+    }));
+
+  return stations;
+}
+
+function distanceMeters(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const x = toRad(b.lon - a.lon) * Math.cos(toRad((a.lat + b.lat) / 2));
+  const y = toRad(b.lat - a.lat);
+  return Math.sqrt(x * x + y * y) * 6371000;
+}
+
+/**
+ * Group stations into complexes: same name, within walking distance
+ * @returns {Array<Array>} One array of stations per complex
+ */
+function groupComplexes(matchedStations) {
+  const complexes = [];
+  for (const station of matchedStations) {
+    const complex = complexes.find(c =>
+      c[0].name === station.name && distanceMeters(c[0], station) < COMPLEX_RADIUS_METERS
+    );
+    if (complex) complex.push(station);
+    else complexes.push([station]);
+  }
+  return complexes;
+}
+
+/**
+ * Name a complex for riders. When another complex with trains shares its
+ * name ("7 Av" on the B), add the closest differently named station.
+ */
+function complexLabel(complex, sameName) {
+  if (!sameName) return complex[0].name;
+  const nearest = loadStations()
+    .filter(s => s.name !== complex[0].name)
+    .reduce((best, s) => (!best || distanceMeters(complex[0], s) < distanceMeters(complex[0], best) ? s : best), null);
+  return nearest ? `${complex[0].name} (near ${nearest.name})` : complex[0].name;
+}
+
+class MTASubwayAPI {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.feedBaseUrl] - Feed URL prefix (default SUBWAY_FEED_BASE_URL or MTA)
+   * @param {string} [options.apiKey] - Optional x-api-key header (default MTA_SUBWAY_API_KEY)
+   */
+  constructor(options = {}) {
+    this.feedBaseUrl = options.feedBaseUrl || process.env.SUBWAY_FEED_BASE_URL || DEFAULT_FEED_BASE_URL;
+    this.apiKey = options.apiKey || process.env.MTA_SUBWAY_API_KEY || null;
+  }
+
+  /**
+   * Normalize a line name ("f", "S", "SIR") to its feed route id
+   */
+  normalizeLine(line) {
+    const upper = line.toUpperCase().replace(/\s*train$/i, '').trim();
+    return LINE_ALIASES[upper] || upper;
+  }
+
+  /**
+   * Find stations by name. Every query word must appear in the station name.
+   * Several parent stations can share a name (e.g., Jay St - MetroTech
+   * has one for A/C/F and one for R), so all matches are returned.
+   * @param {string} query - e.g., "Jay St", "14 street union sq"
+   * @returns {Array} Matching stations
+   */
+  findStations(query) {
+    const queryTokens = nameTokens(query);
+    if (queryTokens.length === 0) return [];
+
+    return loadStations().filter(station =>
+      queryTokens.every(t => station.tokens.includes(t))
+    );
+  }
+
+  /**
+   * Get the next trains for a line at a station
+   * @param {string} line - Subway line (e.g., 'F', '6', 'A')
+   * @param {string} stationQuery - Station name (e.g., 'Jay St')
+   * @param {string|null} direction - Optional 'N' or 'S'
+   * @returns {Promise<Object>} Arrival information
+   */
+  async getStationArrivals(line, stationQuery, direction = null) {
+    const routeId = this.normalizeLine(line);
+    const feed = LINE_FEEDS[routeId];
+    if (!feed) {
+      return { found: false, error: `Unknown subway line "${line}".` };
+    }
+
+    const matches = this.findStations(stationQuery);
+    if (matches.length === 0) {
+      return { found: false, error: `No station matching "${stationQuery}".` };
+    }
+
+    let buffer;
+    try {
+      const axiosStart = Date.now();
+      const response = await axios.get(`${this.feedBaseUrl}${feed}`, {
+        responseType: 'arraybuffer',
+        headers: this.apiKey ? { 'x-api-key': this.apiKey } : {}
+      });
+      console.log(`[TIMING] subway-feed-get: ${Date.now() - axiosStart}ms`);
+      buffer = Buffer.from(response.data);
+    } catch (error) {
+      console.error('MTA Subway Feed Error:', error.message);
+      throw new Error('Unable to fetch subway times');
+    }
+
+    return this.parseFeed(buffer, routeId, matches, direction);
+  }
+
+  /**
+   * Decode a GTFS-realtime feed and pull upcoming arrivals for the given
+   * line at the given stations. Works on recorded .pb fixtures too.
+   * Arrivals are grouped by station complex, since a name can match
+   * stations in different places ("7 Av" is on the B in Manhattan and Brooklyn).
+   * @param {Buffer} buffer - Raw protobuf FeedMessage
+   * @param {string} routeId - Feed route id (e.g., 'F')
+   * @param {Array} matchedStations - From findStations()
+   * @param {string|null} direction - Optional 'N' or 'S'
+   * @param {number} now - Reference time in ms (defaults to Date.now())
+   * @returns {Object} { found, line, stationName, stations: [{ stationName, arrivals }], arrivals }
+   */
+  parseFeed(buffer, routeId, matchedStations, direction = null, now = Date.now()) {
+    const message = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(buffer);
+    const complexes = groupComplexes(matchedStations);
+    const complexByStation = new Map();
+    complexes.forEach(complex => complex.forEach(station => complexByStation.set(station.id, complex)));
+    const arrivalsByComplex = new Map();
+
+    for (const entity of message.entity) {
+      const tripUpdate = entity.tripUpdate;
+      if (!tripUpdate) continue;
+
+      // Express variants ("6X", "FX") run on the same line for riders
+      const tripRoute = tripUpdate.trip.routeId || '';
+      if (tripRoute !== routeId && tripRoute !== `${routeId}X`) continue;
+
+      for (const update of tripUpdate.stopTimeUpdate) {
+        const stopId = update.stopId || '';
+        const stopDirection = stopId.slice(-1);
+        const complex = complexByStation.get(stopId.slice(0, -1));
+        if (!complex) continue;
+        if (direction && stopDirection !== direction) continue;
+
+        const time = Number((update.arrival || update.departure)?.time || 0) * 1000;
+        if (!time || time < now - 30000) continue;
+
+        if (!arrivalsByComplex.has(complex)) arrivalsByComplex.set(complex, []);
+        arrivalsByComplex.get(complex).push({
+          line: LINE_DISPLAY_NAMES[routeId] || routeId,
+          stationId: stopId.slice(0, -1),
+          direction: stopDirection,
+          expectedArrival: new Date(time).toISOString(),
+          minutesAway: Math.max(0, Math.round((time - now) / 60000))
+        });
+      }
+    }
+
+    const served = [...arrivalsByComplex.keys()];
+    const stations = served.map(complex => ({
+      stationName: complexLabel(complex, served.some(other => other !== complex && other[0].name === complex[0].name)),
+      arrivals: arrivalsByComplex.get(complex).sort((a, b) => a.minutesAway - b.minutesAway)
+    }));
+    const names = [...new Set(matchedStations.map(s => s.name))];
+
+    return {
+      found: stations.length > 0,
+      line: LINE_DISPLAY_NAMES[routeId] || routeId,
+      stationName: stations.length === 1 ? stations[0].stationName : names.join(' / '),
+      stations,
+      arrivals: stations.flatMap(station => station.arrivals).sort((a, b) => a.minutesAway - b.minutesAway)
+    };
+  }
+
+  /**
+   * Format arrivals into human-readable text, grouped by direction
+   */
+  formatAsText(parsedData, maxResults = 3) {
+    if (parsedData.error) {
+      return `${parsedData.error} Try a line and station like "F at Jay St".`;
+    }
+    if (!parsedData.found) {
+      return `No ${parsedData.line} trains found at ${parsedData.stationName} right now. Check mta.info for service changes.`;
+    }
+
+    return parsedData.stations
+      .map(station => {
+        const sections = ['N', 'S']
+          .map(dir => {
+            const times = station.arrivals
+              .filter(a => a.direction === dir)
+              .slice(0, maxResults)
+              .map(a => (a.minutesAway === 0 ? 'now' : `${a.minutesAway} min`));
+            return times.length > 0 ? `${DIRECTION_NAMES[dir]} - ${times.join(', ')}` : null;
+          })
+          .filter(Boolean);
+        return `${parsedData.line} trains at ${station.stationName}:\n\n${sections.join('\n\n')}`;
+      })
+      .join('\n\n');
+  }
+}
+
+module.exports = MTASubwayAPI;
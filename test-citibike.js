@@ -0,0 +1,39 @@
+require('dotenv').config();
+const CitiBikeAPI = require('./citibike-api');
+
+// Test the Citi Bike GBFS client
+// Usage: node test-citibike.js [location] [gbfs-dir]
+// e.g.   node test-citibike.js "40.6840,-73.9777" fixtures/citibike
+// Location can be a stop code, a place name, or "lat,lon". With a directory of
+// recorded station_information.json / station_status.json and a "lat,lon"
+// location, no network is needed.
+async function test() {
+  const [location = 'Atlantic Terminal', gbfsDir] = process.argv.slice(2);
+  const citiBikeAPI = new CitiBikeAPI(gbfsDir ? { gbfsUrl: gbfsDir } : {});
+
+  console.log(`🚲 Testing Citi Bike GBFS near ${location}...\n`);
+
+  try {
+    const coords = location.match(/^(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)$/);
+    let data;
+    if (coords) {
+      const stations = await citiBikeAPI.getStationsNear(parseFloat(coords[1]), parseFloat(coords[2]));
+      data = { found: stations.length > 0, anchor: location, want: 'bikes', stations };
+    } else {
+      data = await citiBikeAPI.findNear(location);
+    }
+
+    console.log('Sample response:');
+    console.log('================');
+    console.log(citiBikeAPI.formatAsText(data));
+    console.log('================\n');
+    console.log(`Found ${data.stations?.length || 0} nearby stations`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.log('\nPossible issues:');
+    console.log('  - Network connectivity');
+    console.log('  - Fixture directory is missing station_information.json or station_status.json');
+  }
+}
+
+test();
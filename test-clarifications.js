@@ -0,0 +1,50 @@
+const { isClarificationAnswer } = require('./pending-clarifications');
+
+// Test which replies answer a pending follow-up question and which are new food
+// Usage: node test-clarifications.js
+// Runs offline; saved meal names are also checked against the database in server.js.
+const soup = {
+  question: 'How big was the bowl of soup?',
+  description: 'soup',
+  calorieData: { items: [{ name: 'Vegetable soup' }] }
+};
+const eggs = {
+  question: 'How many eggs?',
+  description: 'eggs for breakfast',
+  calorieData: { items: [{ name: 'Scrambled eggs' }] }
+};
+
+const cases = [
+  [soup, 'log it', true],
+  [soup, 'skip', true],
+  [soup, 'a large bowl', true],
+  [soup, 'it was about 300g', true],
+  [soup, 'half a bowl', true],
+  [soup, '2 cups', true],
+  [soup, 'tomato soup', true],
+  [eggs, '3 eggs', true],
+  [eggs, '3', true],
+  [eggs, 'scrambled in butter', true],
+  [soup, 'banana', false],
+  [soup, 'bagel with cream cheese', false],
+  [soup, 'usual breakfast', false],
+  [soup, '2 eggs', false],
+  [soup, '2 eggs and toast', false],
+  [soup, 'chicken, rice, broccoli', false]
+];
+
+function test() {
+  console.log('🥣 Testing follow-up answer detection...\n');
+
+  let failed = 0;
+  for (const [pending, reply, expected] of cases) {
+    const actual = isClarificationAnswer(reply, pending);
+    if (actual !== expected) failed++;
+    console.log(`${actual === expected ? '✅' : '❌'} "${reply}" after "${pending.question}" -> ${actual ? 'answer' : 'new food'}`);
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  if (failed > 0) process.exit(1);
+}
+
+test();
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const MTABusAPI = require('./mta-api');
+const { MTABusAPI } = require('./mta-api');
 
 // Test the MTA API with a known stop
 async function test() {
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const fs = require('fs');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const MTASubwayAPI = require('./subway-api');
+
+// Test the subway feed parser
+// Usage: node test-subway.js [line] [station] [fixture.pb]
+// e.g.   node test-subway.js F "Jay St" fixtures/gtfs-bdfm.pb
+//        node test-subway.js B "7 Av" fixtures/gtfs-bdfm.pb
+// With a fixture path, the protobuf feed is decoded offline as of its header timestamp.
+async function test() {
+  const [line = 'F', station = 'Jay St', fixturePath] = process.argv.slice(2);
+  const subwayAPI = new MTASubwayAPI();
+
+  console.log(`🚇 Testing MTA subway feed for ${line} at ${station}...\n`);
+
+  const stations = subwayAPI.findStations(station);
+  if (stations.length === 0) {
+    console.error(`❌ No station matching "${station}" in data/subway-stops.txt`);
+    process.exit(1);
+  }
+  console.log(`Matched stations: ${stations.map(s => `${s.id} ${s.name}`).join(', ')}\n`);
+
+  try {
+    let data;
+    if (fixturePath) {
+      const buffer = fs.readFileSync(fixturePath);
+      const feedTime = Number(GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(buffer).header.timestamp) * 1000;
+      data = subwayAPI.parseFeed(buffer, subwayAPI.normalizeLine(line), stations, null, feedTime);
+    } else {
+      data = await subwayAPI.getStationArrivals(line, station);
+    }
+
+    console.log('Sample response:');
+    console.log('================');
+    console.log(subwayAPI.formatAsText(data));
+    console.log('================\n');
+    console.log(`Found ${data.arrivals?.length || 0} upcoming trains`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.log('\nPossible issues:');
+    console.log('  - Network connectivity');
+    console.log('  - Fixture is not a GTFS-realtime FeedMessage');
+  }
+}
+
+test();
@@ -0,0 +1,139 @@
+const { Pool } = require('pg');
+const { getTodayKey, toDateKey } = require('./log-date');
+
+// Exponentially smoothed trend, 10% of each day's deviation (as in The Hacker's Diet)
+const TREND_SMOOTHING = 0.1;
+
+// Create a connection pool using DATABASE_URL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('railway.internal') ? false : { rejectUnauthorized: false }
+});
+
+/**
+ * Initialize the weigh-ins table if it doesn't exist
+ */
+async function initTable() {
+  const start = Date.now();
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS weigh_ins (
+      date DATE PRIMARY KEY,
+      weight_lbs NUMERIC NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  console.log(`[TIMING] weight-db-initTable: ${Date.now() - start}ms`);
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((new Date(`${toKey}T12:00:00Z`) - new Date(`${fromKey}T12:00:00Z`)) / 86400000);
+}
+
+/**
+ * Log today's weigh-in; weighing again the same day replaces it
+ * @param {number} weightLbs - Body weight in pounds
+ * @returns {Promise<Object>} Status from getWeightStatus()
+ */
+async function logWeight(weightLbs) {
+  await initTable();
+
+  const queryStart = Date.now();
+  await pool.query(`
+    INSERT INTO weigh_ins (date, weight_lbs)
+    VALUES ($1, $2)
+    ON CONFLICT (date)
+    DO UPDATE SET weight_lbs = $2, created_at = NOW()
+  `, [getTodayKey(), Math.round(weightLbs * 10) / 10]);
+  console.log(`[TIMING] weight-db-log: ${Date.now() - queryStart}ms`);
+
+  return getWeightStatus();
+}
+
+/**
+ * Get weigh-ins with their smoothed trend, oldest first
+ * The trend moves toward each weigh-in by TREND_SMOOTHING per day elapsed,
+ * so skipped days don't make the next weigh-in count extra.
+ * @param {string} [startDate] - First day to return, YYYY-MM-DD (the trend still uses earlier weigh-ins)
+ * @returns {Promise<Array>} [{ date, weight, trend }]
+ */
+async function getWeighIns(startDate = null) {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query('SELECT date, weight_lbs FROM weigh_ins ORDER BY date');
+  console.log(`[TIMING] weight-db-getWeighIns: ${Date.now() - queryStart}ms`);
+
+  let trend = null;
+  let previousDate = null;
+  const weighIns = rows.map(row => {
+    const date = toDateKey(row.date);
+    const weight = parseFloat(row.weight_lbs);
+    if (trend == null) {
+      trend = weight;
+    } else {
+      const alpha = 1 - Math.pow(1 - TREND_SMOOTHING, daysBetween(previousDate, date));
+      trend += alpha * (weight - trend);
+    }
+    previousDate = date;
+    return { date, weight, trend: Math.round(trend * 10) / 10 };
+  });
+
+  return startDate ? weighIns.filter(w => w.date >= startDate) : weighIns;
+}
+
+/**
+ * Latest weigh-in with the trend and its change over the last week
+ * @returns {Promise<Object|null>} { date, weight, trend, weeklyChange, count } or null if never weighed
+ */
+async function getWeightStatus() {
+  const weighIns = await getWeighIns();
+  if (weighIns.length === 0) return null;
+
+  const latest = weighIns[weighIns.length - 1];
+  // Compare against the trend as of a week before the latest weigh-in
+  const weekAgo = [...weighIns].reverse().find(w => daysBetween(w.date, latest.date) >= 7);
+
+  return {
+    date: latest.date,
+    weight: latest.weight,
+    trend: latest.trend,
+    weeklyChange: weekAgo
+      ? Math.round((latest.trend - weekAgo.trend) / daysBetween(weekAgo.date, latest.date) * 7 * 10) / 10
+      : null,
+    count: weighIns.length
+  };
+}
+
+/**
+ * Format weight status for SMS, e.g. "182.4 lbs (trend 183.1, -0.8 lb/week)"
+ */
+function formatWeightStatus(status) {
+  if (!status) {
+    return 'No weigh-ins yet. Text "weight 182.4" to log one.';
+  }
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+  const change = status.weeklyChange != null ? `, ${signed(status.weeklyChange)} lb/week` : '';
+  return `${status.weight} lbs (trend ${status.trend}${change})`;
+}
+
+/**
+ * Format recent weigh-ins with their trend for SMS, newest first
+ * @param {Array} weighIns - From getWeighIns()
+ * @param {number} [limit] - How many to show
+ */
+function formatWeighIns(weighIns, limit = 7) {
+  return weighIns.slice(-limit).reverse().map(w => {
+    const day = new Date(`${w.date}T12:00:00Z`).toLocaleDateString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+    return `${day}: ${w.weight} (trend ${w.trend})`;
+  }).join('\n');
+}
+
+module.exports = {
+  logWeight,
+  getWeighIns,
+  getWeightStatus,
+  formatWeightStatus,
+  formatWeighIns
+};
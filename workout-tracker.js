@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { getTodayKey, toDateKey } = require('./log-date');
 
 // Create a connection pool using DATABASE_URL
 const pool = new Pool({
@@ -39,13 +40,6 @@ async function initTable() {
   console.log(`[TIMING] workout-db-initTable: ${Date.now() - start}ms`);
 }
 
-/**
- * Get today's date key (YYYY-MM-DD) in Eastern Time
- */
-function getTodayKey() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-}
-
 /**
  * Estimate calories burned per set
  * @param {number|null} weightLbs - Weight in pounds (null/0 for bodyweight)
@@ -63,11 +57,13 @@ function estimateCaloriesPerSet(weightLbs, reps) {
  * @param {number|null} weightLbs - Weight in pounds (null for bodyweight)
  * @param {number} reps - Reps per set
  * @param {number} numSets - Number of sets to log
- * @returns {Promise<Object>} Log result with calorie info
+ * @param {string|null} difficulty - e.g., "easy", "hard"
+ * @param {string|null} date - Day to log to, YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Object>} Log result with calorie info and that day's summary
  */
-async function logSets(exercise, weightLbs, reps, numSets = 1, difficulty = null) {
+async function logSets(exercise, weightLbs, reps, numSets = 1, difficulty = null, date = null) {
   await initTable();
-  const today = getTodayKey();
+  const day = date || getTodayKey();
   const caloriesPerSet = estimateCaloriesPerSet(weightLbs, reps);
 
   const queryStart = Date.now();
@@ -78,7 +74,7 @@ async function logSets(exercise, weightLbs, reps, numSets = 1, difficulty = null
   for (let i = 0; i < numSets; i++) {
     const offset = i * 6;
     placeholders.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`);
-    values.push(today, exercise, weightLbs || null, reps, caloriesPerSet, difficulty);
+    values.push(day, exercise, weightLbs || null, reps, caloriesPerSet, difficulty);
   }
 
   await pool.query(`
@@ -87,10 +83,11 @@ async function logSets(exercise, weightLbs, reps, numSets = 1, difficulty = null
   `, values);
   console.log(`[TIMING] workout-db-logSets: ${Date.now() - queryStart}ms`);
 
-  // Get today's summary
-  const todaySummary = await getTodaySets();
+  // Get the day's summary
+  const todaySummary = await getTodaySets(day);
 
   return {
+    date: day,
     exercise,
     weightLbs,
     reps,
@@ -103,11 +100,12 @@ async function logSets(exercise, weightLbs, reps, numSets = 1, difficulty = null
 
 /**
  * Get total exercise calories burned today (with overhead multiplier)
+ * @param {string|null} date - Another day, YYYY-MM-DD (defaults to today)
  * @returns {Promise<number>} Total exercise calories
  */
-async function getExerciseCaloriesToday() {
+async function getExerciseCaloriesToday(date = null) {
   await initTable();
-  const today = getTodayKey();
+  const today = date || getTodayKey();
 
   const queryStart = Date.now();
   const { rows } = await pool.query(`
@@ -122,12 +120,36 @@ async function getExerciseCaloriesToday() {
 }
 
 /**
- * Get today's exercises grouped by exercise name
- * @returns {Promise<Array>} Today's exercises with set details
+ * Get exercise calories burned per day over a date range (with overhead multiplier)
+ * @param {string} startDate - First day, YYYY-MM-DD
+ * @param {string} endDate - Last day, YYYY-MM-DD
+ * @returns {Promise<Map>} date key -> calories, for days with any sets
  */
-async function getTodaySets() {
+async function getExerciseCaloriesByDate(startDate, endDate) {
   await initTable();
-  const today = getTodayKey();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT date, COALESCE(SUM(calories_burned), 0) as total
+    FROM workout_sets
+    WHERE date BETWEEN $1 AND $2
+    GROUP BY date
+  `, [startDate, endDate]);
+  console.log(`[TIMING] workout-db-getExerciseCalsByDate: ${Date.now() - queryStart}ms`);
+
+  return new Map(rows.map(r => [
+    toDateKey(r.date), Math.round(parseInt(r.total, 10) * OVERHEAD_MULTIPLIER)
+  ]));
+}
+
+/**
+ * Get a day's exercises grouped by exercise name
+ * @param {string|null} date - YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Array>} The day's exercises with set details
+ */
+async function getTodaySets(date = null) {
+  await initTable();
+  const today = date || getTodayKey();
 
   const queryStart = Date.now();
   const { rows } = await pool.query(`
@@ -266,6 +288,92 @@ async function deleteExercise(exercise, weightLbs, reps) {
   return { deletedSets: rowCount, todaySummary };
 }
 
+/**
+ * Get every set ever logged, oldest first (for CSV export)
+ * @returns {Promise<Array>} [{ date, exercise, weightLbs, reps, difficulty, calories }]
+ */
+async function getAllSets() {
+  await initTable();
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT date, exercise, weight_lbs, reps, difficulty, calories_burned
+    FROM workout_sets
+    ORDER BY date, created_at, id
+  `);
+  console.log(`[TIMING] workout-db-getAllSets: ${Date.now() - queryStart}ms`);
+
+  return rows.map(r => ({
+    date: toDateKey(r.date),
+    exercise: r.exercise,
+    weightLbs: r.weight_lbs ? parseFloat(r.weight_lbs) : null,
+    reps: r.reps,
+    difficulty: r.difficulty || null,
+    calories: r.calories_burned
+  }));
+}
+
+/**
+ * Add sets from another app's export, skipping ones already logged
+ * Sets have no IDs to match on, so each day's sets of the same exercise,
+ * weight and reps are counted, and only the ones beyond what's already in
+ * the log are added. Re-running an import adds nothing.
+ * @param {Array} sets - [{ date, exercise, weightLbs, reps }], one per set
+ * @returns {Promise<Object>} { imported, skipped }
+ */
+async function importSets(sets) {
+  await initTable();
+
+  // Weights are compared as numbers rounded to 0.1 lb, as the importer rounds
+  // them, so NUMERIC text like "44.10" matches 44.1
+  const roundLbs = weight => (Number(weight) ? Math.round(Number(weight) * 10) / 10 : null);
+  const setKey = (date, exercise, weightLbs, reps) => `${date}|${exercise}|${weightLbs ?? ''}|${reps}`;
+
+  const wanted = new Map();
+  for (const set of sets) {
+    const weightLbs = roundLbs(set.weightLbs);
+    const key = setKey(set.date, set.exercise, weightLbs, set.reps);
+    if (!wanted.has(key)) wanted.set(key, { ...set, weightLbs, count: 0 });
+    wanted.get(key).count++;
+  }
+
+  const queryStart = Date.now();
+  const { rows } = await pool.query(`
+    SELECT date, exercise, weight_lbs, reps, COUNT(*) as num_sets
+    FROM workout_sets
+    GROUP BY date, exercise, weight_lbs, reps
+  `);
+  // Stored weights that round together (45 and 45.00) share a count
+  const existing = new Map();
+  for (const r of rows) {
+    const key = setKey(toDateKey(r.date), r.exercise, roundLbs(r.weight_lbs), r.reps);
+    existing.set(key, (existing.get(key) || 0) + parseInt(r.num_sets, 10));
+  }
+
+  let imported = 0;
+  for (const [key, set] of wanted) {
+    const missing = set.count - (existing.get(key) || 0);
+    if (missing <= 0) continue;
+
+    const caloriesPerSet = estimateCaloriesPerSet(set.weightLbs, set.reps);
+    const values = [];
+    const placeholders = [];
+    for (let i = 0; i < missing; i++) {
+      const offset = i * 5;
+      placeholders.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`);
+      values.push(set.date, set.exercise, set.weightLbs, set.reps, caloriesPerSet);
+    }
+    await pool.query(`
+      INSERT INTO workout_sets (date, exercise, weight_lbs, reps, calories_burned)
+      VALUES ${placeholders.join(', ')}
+    `, values);
+    imported += missing;
+  }
+  console.log(`[TIMING] workout-db-importSets: ${Date.now() - queryStart}ms`);
+
+  return { imported, skipped: sets.length - imported };
+}
+
 /**
  * Reset all workout history
  */
@@ -311,8 +419,11 @@ async function getPlan(date) {
 module.exports = {
   logSets,
   getExerciseCaloriesToday,
+  getExerciseCaloriesByDate,
   getTodaySets,
   getWorkoutHistory,
+  getAllSets,
+  importSets,
   updateExercise,
   deleteExercise,
   resetWorkoutHistory,